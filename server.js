@@ -1,18 +1,311 @@
 import express from 'express';
 import cors from 'cors';
-import { randomUUID } from 'crypto';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, statSync, createWriteStream } from 'fs';
+import { createInterface } from 'readline';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// `node server.js --stdio` speaks MCP over stdin/stdout for hosts that launch
+// servers as subprocesses; add --http to also serve the UI. stdout then
+// carries protocol messages only, so all logging goes to stderr.
+const STDIO_MODE = process.argv.includes('--stdio');
+const HTTP_ENABLED = !STDIO_MODE || process.argv.includes('--http');
+if (STDIO_MODE) {
+    console.log = console.error;
+    console.info = console.error;
+}
+
+// ============================================================================
+// OBSERVABILITY
+// ============================================================================
+
+// Logs are JSON lines: { time, level, msg, ...context, ...fields }. The
+// context (request_id, session_id, mcp_request_id, tool, task_id, arm_id,
+// world_id) follows a request through its async calls. A task keeps the
+// context of the call that submitted it, and each arm is simulated in the
+// context of its current task, so one tools/call can be traced from the HTTP
+// request through its motions, magnet events and browser callbacks.
+// LOG_LEVEL: debug, info, warn, error.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const requestContext = new AsyncLocalStorage();
+
+function log(level, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...requestContext.getStore(), ...fields });
+    // stdout carries protocol messages in stdio mode
+    (STDIO_MODE || level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Runs fn with fields added to the current log context
+function withLogContext(fields, fn) {
+    return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+// Prometheus metrics, served as text by GET /metrics. Histograms use
+// METRIC_BUCKETS (seconds); gauges are filled in by collectors at scrape time.
+const METRIC_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const metrics = new Map(); // name -> { type, help, series: Map(label key -> series) }
+const metricCollectors = [];
+
+function defineMetric(name, type, help) {
+    metrics.set(name, { type, help, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+    const metric = metrics.get(name);
+    const key = JSON.stringify(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, metric.type === 'histogram'
+            ? { labels, buckets: METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 });
+    }
+    return metric.series.get(key);
+}
+
+function incMetric(name, labels = {}, amount = 1) {
+    metricSeries(name, labels).value += amount;
+}
+
+function setMetric(name, labels, value) {
+    metricSeries(name, labels).value = value;
+}
+
+function observeMetric(name, labels, seconds) {
+    const series = metricSeries(name, labels);
+    METRIC_BUCKETS.forEach((le, i) => {
+        if (seconds <= le) series.buckets[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+    metricCollectors.forEach(collect => collect());
+    const lines = [];
+    metrics.forEach((metric, name) => {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        metric.series.forEach(series => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                return;
+            }
+            METRIC_BUCKETS.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...series.labels, le })} ${series.buckets[i]}`));
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+defineMetric('robo_tool_calls_total', 'counter', 'Tool calls by tool and error_code (none on success)');
+defineMetric('robo_tool_call_duration_seconds', 'histogram', 'Tool call latency, including time queued, by tool and error_code');
+defineMetric('robo_task_duration_seconds', 'histogram', 'Motion task run time by tool and final status');
+defineMetric('robo_tasks', 'gauge', 'Motion tasks by arm and state, summed over worlds');
+defineMetric('robo_motion_wait_timeouts_total', 'counter', 'Motions that did not finish within their expected time, by arm');
+defineMetric('robo_attachment_failures_total', 'counter', 'Picks where the magnet did not attach the object in time, by arm');
+defineMetric('robo_screenshot_duration_seconds', 'histogram', 'Time for the browser to return a screenshot');
+defineMetric('robo_screenshot_failures_total', 'counter', 'Failed screenshots by reason');
+defineMetric('robo_http_requests_total', 'counter', 'HTTP requests by method, route and status');
+defineMetric('robo_ui_clients', 'gauge', 'Browsers connected to /api/events');
+defineMetric('robo_mcp_sessions', 'gauge', 'Open MCP sessions by transport');
+defineMetric('robo_worlds', 'gauge', 'Simulated worlds: the shared one plus open sandboxes');
+defineMetric('robo_faults_injected_total', 'counter', 'Faults injected by fault profiles, by fault');
+defineMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes');
+defineMetric('process_start_time_seconds', 'gauge', 'Start time of the process since the Unix epoch in seconds');
+
+setMetric('process_start_time_seconds', {}, Math.round(Date.now() / 1000 - process.uptime()));
+metricCollectors.push(() => {
+    for (const { id } of ARM_SPECS) {
+        const instances = [...worlds.values()].map(world => world.arms.find(arm => arm.id === id));
+        setMetric('robo_tasks', { arm: id, state: 'queued' }, instances.reduce((sum, arm) => sum + arm.taskQueue.length, 0));
+        setMetric('robo_tasks', { arm: id, state: 'running' }, instances.filter(arm => arm.currentTask).length);
+    }
+    setMetric('robo_worlds', {}, worlds.size);
+    setMetric('robo_ui_clients', {}, uiClients.size);
+    for (const transport of ['streamable', 'legacy', 'stdio']) {
+        setMetric('robo_mcp_sessions', { transport }, [...mcpSessions.values()].filter(s => s.transport === transport).length);
+    }
+    setMetric('process_resident_memory_bytes', {}, process.memoryUsage().rss);
+});
+
+// ============================================================================
+// ACCESS CONTROL
+// ============================================================================
+
+// API keys come from API_KEYS as comma-separated <scope>:<key> pairs, e.g.
+// API_KEYS=read:k1,motion:k2,admin:k3. Each scope includes the ones before it:
+//  - read:   state, discovery, tasks, screenshots, MCP resources and prompts
+//  - motion: moving the arm and the magnet, stopping tasks
+//  - admin:  scene editing, presets and reset, scenarios, fault profiles and
+//            recordings - ADMIN_TOOLS below and the REST routes behind them
+// REPORTER_KEY is the browser's own credential for the endpoints that report
+// back to the server (object drags, screenshots); it also grants read. With
+// neither variable set the server is open to everyone, as in local development.
+const SCOPES = ['read', 'motion', 'admin'];
+const API_KEYS = parseApiKeys(process.env.API_KEYS || '');
+const REPORTER_KEY = process.env.REPORTER_KEY ? hashKey(process.env.REPORTER_KEY) : null;
+const AUTH_ENABLED = API_KEYS.length > 0 || REPORTER_KEY !== null;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Everything else (the motion tools, move_joint, set_pose, set_magnet, stop, teaching poses and programs, saving cameras) needs motion
+const READ_TOOLS = ['take_screenshot', 'discover_objects', 'list_scenes', 'get_arm_state', 'get_environment_info', 'get_tasks', 'list_recordings',
+    'list_poses', 'list_programs', 'list_cameras', 'list_scenarios', 'evaluate_scenario', 'get_fault_profile'];
+const ADMIN_TOOLS = ['spawn_object', 'remove_object', 'update_object', 'save_scene', 'load_scene', 'import_scene', 'delete_scene', 'reset_scene',
+    'start_scenario', 'set_fault_profile', 'start_recording', 'stop_recording', 'delete_recording', 'replay_recording', 'stop_replay'];
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest();
+}
+
+function parseApiKeys(spec) {
+    return spec.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, i) => {
+        const colon = entry.indexOf(':');
+        const scope = entry.slice(0, colon);
+        const key = entry.slice(colon + 1);
+        if (colon < 0 || !SCOPES.includes(scope) || !key) {
+            throw new Error(`API_KEYS entry ${i + 1} must be <scope>:<key> with scope one of ${SCOPES.join(', ')}`);
+        }
+        const digest = hashKey(key);
+        return { id: `key-${digest.toString('hex').slice(0, 8)}`, scope, digest };
+    });
+}
+
+// Bearer token, X-API-Key header, or ?access_token= for EventSource, which can't set headers
+function presentedKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    return req.headers['x-api-key'] || req.query.access_token || null;
+}
+
+/**
+ * Identifies the caller: { id, scope, reporter } for a valid key, null for
+ * a missing or unknown one. Without auth configured everyone is an
+ * anonymous admin that may also report.
+ */
+function authenticate(req) {
+    if (!AUTH_ENABLED) return { id: 'anonymous', scope: 'admin', reporter: true };
+
+    const key = presentedKey(req);
+    if (!key) return null;
+    const digest = hashKey(key);
+    const match = API_KEYS.find(entry => timingSafeEqual(entry.digest, digest));
+    if (match) return { id: match.id, scope: match.scope, reporter: false };
+    if (REPORTER_KEY && timingSafeEqual(REPORTER_KEY, digest)) return { id: 'reporter', scope: 'read', reporter: true };
+    return null;
+}
+
+function hasScope(principal, scope) {
+    return SCOPES.indexOf(principal.scope) >= SCOPES.indexOf(scope);
+}
+
+function toolScope(name) {
+    if (READ_TOOLS.includes(name)) return 'read';
+    if (ADMIN_TOOLS.includes(name)) return 'admin';
+    return 'motion';
+}
+
+// Sets the status and WWW-Authenticate challenge; returns the message for the caller to wrap
+function rejectAuth(res, status, message, scope) {
+    res.status(status).set('WWW-Authenticate', status === 401
+        ? 'Bearer realm="robo-demo"'
+        : `Bearer realm="robo-demo", error="insufficient_scope", scope="${scope}"`);
+    return message;
+}
+
+/**
+ * Express middleware: 401 without a valid key, 403 when the key's scope is
+ * below `scope` (a scope name or a function of the request). Sets
+ * req.principal. options.mcp answers with JSON-RPC errors.
+ */
+function requireScope(scope, options = {}) {
+    const send = (res, message, status) => res.json(options.mcp
+        ? jsonRpcError(-32000, message)
+        : { success: false, message, error_code: status === 401 ? 'UNAUTHORIZED' : 'FORBIDDEN' });
+
+    return (req, res, next) => {
+        const principal = authenticate(req);
+        if (!principal) {
+            log('warn', 'Unauthorized request', { path: req.path });
+            return send(res, rejectAuth(res, 401, 'Missing or invalid API key'), 401);
+        }
+        const required = typeof scope === 'function' ? scope(req) : scope;
+        if (!hasScope(principal, required)) {
+            log('warn', 'Forbidden request', { path: req.path, key: principal.id, scope: required });
+            return send(res, rejectAuth(res, 403, `This API key lacks the '${required}' scope`, required), 403);
+        }
+        req.principal = principal;
+        next();
+    };
+}
+
+// The browser's reporting endpoints accept only the reporter credential
+function requireReporter(req, res, next) {
+    const principal = authenticate(req);
+    if (!principal) {
+        return res.json({ success: false, message: rejectAuth(res, 401, 'Missing or invalid reporter key'), error_code: 'UNAUTHORIZED' });
+    }
+    if (!principal.reporter) {
+        return res.json({ success: false, message: rejectAuth(res, 403, 'Only the browser UI (REPORTER_KEY) may report', 'reporter'), error_code: 'FORBIDDEN' });
+    }
+    req.principal = principal;
+    next();
+}
+
 const app = express();
-app.use(cors());
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+}));
 app.use(express.json({ limit: '10mb' }));
+
+// Every request gets an id (X-Request-Id, or the caller's if it sent one) that tags its logs
+app.use((req, res, next) => {
+    const requestId = /^[\w.-]{1,128}$/.test(req.headers['x-request-id'] || '') ? req.headers['x-request-id'] : randomUUID();
+    const startTime = Date.now();
+    res.setHeader('X-Request-Id', requestId);
+    res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'other';
+        incMetric('robo_http_requests_total', { method: req.method, route, status: res.statusCode });
+        log('debug', 'HTTP request', { request_id: requestId, method: req.method, path: req.path, status: res.statusCode, duration_ms: Date.now() - startTime });
+    });
+    requestContext.run({ request_id: requestId }, next);
+});
+
 app.use(express.static(join(__dirname, 'public')));
 
+// ?world= or an X-World-Id header points an API call at a sandbox world (see WORLDS).
+// The key is checked first so that world ids can't be probed without one.
+app.use('/api', (req, res, next) => {
+    const worldId = req.headers['x-world-id'] ?? req.query.world;
+    if (worldId === undefined) return next();
+    const principal = authenticate(req);
+    if (!principal) {
+        return res.json({ success: false, message: rejectAuth(res, 401, 'Missing or invalid API key'), error_code: 'UNAUTHORIZED' });
+    }
+    const world = worlds.get(worldId);
+    if (!world) {
+        return res.status(404).json({ success: false, message: `Unknown world '${worldId}'`, error_code: 'WORLD_NOT_FOUND' });
+    }
+    if (!mayUseWorld(principal, world)) {
+        return res.status(403).json({ success: false, message: `World '${worldId}' belongs to another API key`, error_code: 'WORLD_FORBIDDEN' });
+    }
+    inWorld(world, next);
+});
+
 // ============================================================================
 // STATE PERSISTENCE
 // ============================================================================
@@ -20,13 +313,14 @@ app.use(express.static(join(__dirname, 'public')));
 const STATE_FILE = join(__dirname, 'state.json');
 
 const defaultState = {
-    jointTargets: [0, 0, 0, 0, 0, 0],
-    magnetOn: false,
-    attachedObject: null,
+    arms: {},     // arm id -> { jointTargets, magnetOn, attachedObject } (see ARMS)
+    poses: {},    // name -> taught pose (see TEACH MODE)
+    programs: {}, // name -> saved program
+    cameras: {},  // name -> saved screenshot camera (see CAMERAS)
     objects: [
-        { id: 'cube1', type: 'cube', position: { x: 0.4, y: 0.025, z: 0.3 }, size: 0.05, color: 'silver' },
-        { id: 'cube2', type: 'cube', position: { x: -0.3, y: 0.025, z: 0.4 }, size: 0.04, color: 'gray' },
-        { id: 'cylinder1', type: 'cylinder', position: { x: 0.25, y: 0.03, z: -0.35 }, size: 0.03, color: 'silver' }
+        { id: 'cube1', type: 'cube', position: { x: 0.4, y: 0.025, z: 0.3 }, size: 0.05, mass: 0.1, color: 'silver', magnetic: true },
+        { id: 'cube2', type: 'cube', position: { x: -0.3, y: 0.025, z: 0.4 }, size: 0.04, mass: 0.05, color: 'gray', magnetic: true },
+        { id: 'cylinder1', type: 'cylinder', position: { x: 0.25, y: 0.03, z: -0.35 }, size: 0.03, mass: 0.04, color: 'silver', magnetic: true }
     ]
 };
 
@@ -34,23 +328,25 @@ function loadState() {
     try {
         if (existsSync(STATE_FILE)) {
             const data = readFileSync(STATE_FILE, 'utf-8');
-            return { ...defaultState, ...JSON.parse(data) };
+            return { ...structuredClone(defaultState), ...JSON.parse(data) };
         }
     } catch (e) {
-        console.log('Could not load state, using defaults');
+        log('warn', 'Could not load state, using defaults', { error: e.message });
     }
-    return { ...defaultState };
+    return structuredClone(defaultState);
 }
 
+// Only the shared world is saved; sandbox worlds (see WORLDS) live in memory
 function saveState() {
+    if (currentWorld() !== defaultWorld) return;
     try {
-        writeFileSync(STATE_FILE, JSON.stringify(armState, null, 2));
+        writeFileSync(STATE_FILE, JSON.stringify(defaultWorld.state, null, 2));
     } catch (e) {
-        console.error('Could not save state:', e.message);
+        log('error', 'Could not save state', { error: e.message });
     }
 }
 
-const armState = loadState();
+const savedState = loadState(); // the shared world's state (see WORLDS)
 
 // Joint limits (not persisted, constant)
 const jointLimits = [
@@ -62,6 +358,20 @@ const jointLimits = [
     [-180, 180]   // Wrist rotation
 ];
 
+// Per-joint motion limits in degrees/s, /s² and /s³ (not persisted, constant).
+// Served to the browser through /api/state so both sides use the same values.
+const jointMotionLimits = [
+    { maxVelocity: 120, maxAcceleration: 240, maxJerk: 1200 },  // Base rotation
+    { maxVelocity: 90, maxAcceleration: 180, maxJerk: 900 },    // Shoulder
+    { maxVelocity: 100, maxAcceleration: 200, maxJerk: 1000 },  // Elbow
+    { maxVelocity: 150, maxAcceleration: 400, maxJerk: 2000 },  // Wrist roll
+    { maxVelocity: 150, maxAcceleration: 400, maxJerk: 2000 },  // Wrist pitch
+    { maxVelocity: 180, maxAcceleration: 480, maxJerk: 2400 }   // Wrist rotation
+];
+
+// 's_curve' (jerk-limited) or 'trapezoidal' (velocity and acceleration only)
+const MOTION_PROFILE = 's_curve';
+
 // ============================================================================
 // INVERSE KINEMATICS SOLVER
 // ============================================================================
@@ -69,407 +379,4971 @@ const jointLimits = [
 // Arm configuration (matches index.html)
 const ARM_CONFIG = {
     baseHeight: 0.1,
-    L1: 0.35,  // shoulder to elbow (segment 1)
-    L2: 0.30,  // elbow to wrist (segment 2)
-    L3: 0.35,  // wrist to end effector (0.15 + 0.12 + 0.08)
     reachRadius: 0.80,
     maxHeight: 0.95,
-    minHeight: 0.05
+    minHeight: 0.05,
+    // Kinematic chain - each segment rotates about its local axis, then extends along local +Y
+    segments: [
+        { length: 0.25, radius: 0.05, axis: 'y' },   // Base rotation
+        { length: 0.35, radius: 0.045, axis: 'z' },  // Shoulder
+        { length: 0.30, radius: 0.04, axis: 'z' },   // Elbow
+        { length: 0.15, radius: 0.035, axis: 'x' },  // Wrist roll
+        { length: 0.12, radius: 0.03, axis: 'z' },   // Wrist pitch
+        { length: 0.08, radius: 0.025, axis: 'x' }   // Wrist rotation
+    ],
+    magnetRadius: 0.12,     // objects inside this range are pulled toward the magnet
+    magnetAttachDistance: 0.08,
+    magnetPullSpeed: 0.5,   // m/s
+    heldObjectOffset: 0.06  // held objects hang this far below the magnet
 };
 
-function solveIK(targetPos, targetOrientation = 'vertical') {
-    const { baseHeight, L1, L2, L3 } = ARM_CONFIG;
-
-    // 1. Base rotation (joint 0) - rotate to face target in XZ plane
-    const theta0 = Math.atan2(targetPos.x, targetPos.z);
-
-    // 2. Project to 2D plane for arm reach
-    const r = Math.sqrt(targetPos.x ** 2 + targetPos.z ** 2);
-    const h = targetPos.y - baseHeight - L3; // Height for wrist position
+const IK_POSITION_TOLERANCE = 0.002;   // meters
+const IK_ORIENTATION_TOLERANCE = 1.0;  // degrees
+const IK_ORIENTATION_WEIGHT = 0.2;     // meters of error per radian of orientation error
+const IK_MAX_ITERATIONS = 100;
+const IK_DAMPING = 0.02;
+const IK_MAX_STEP = 15;                // degrees per iteration
 
-    // 3. Two-link planar IK for joints 1,2
-    const d = Math.sqrt(r ** 2 + h ** 2);
-    if (d > L1 + L2 - 0.01) {
-        return null; // Unreachable - too far
-    }
-    if (d < Math.abs(L1 - L2) + 0.01) {
-        return null; // Unreachable - too close
-    }
+const DOWN = { x: 0, y: -1, z: 0 };
 
-    // Law of cosines for elbow angle
-    const cos_theta2 = (d ** 2 - L1 ** 2 - L2 ** 2) / (2 * L1 * L2);
-    const clampedCos = Math.max(-1, Math.min(1, cos_theta2));
-    const theta2 = -Math.acos(clampedCos); // Elbow up configuration
+// Gaussian elimination with partial pivoting; returns null for singular systems
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
 
-    // Angle to target and arm geometry
-    const alpha = Math.atan2(h, r);
-    const cos_beta = (L1 ** 2 + d ** 2 - L2 ** 2) / (2 * L1 * d);
-    const clampedCosBeta = Math.max(-1, Math.min(1, cos_beta));
-    const beta = Math.acos(clampedCosBeta);
-    const theta1 = alpha + beta - Math.PI / 2;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
 
-    // 4. Wrist joints to keep end effector vertical
-    const theta3 = 0; // Roll
-    const theta4 = -(theta1 + theta2); // Pitch compensation
-    const theta5 = -theta0; // Counter-rotate base rotation
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
 
-    // Convert to degrees and clamp to joint limits
-    const angles = [theta0, theta1, theta2, theta3, theta4, theta5].map((rad, i) => {
-        const deg = rad * 180 / Math.PI;
-        return Math.max(jointLimits[i][0], Math.min(jointLimits[i][1], deg));
-    });
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
 
-    return angles;
+function normalizeAngle(deg) {
+    const wrapped = ((deg + 180) % 360 + 360) % 360 - 180;
+    return wrapped === -180 ? 180 : wrapped;
 }
 
-// ============================================================================
-// TASK EXECUTION STATE
-// ============================================================================
+function clampToLimits(angles) {
+    return angles.map((deg, i) => Math.max(jointLimits[i][0], Math.min(jointLimits[i][1], deg)));
+}
 
-let currentTask = null;
-let motionComplete = true;
-let motionCompleteResolve = null;
-let attachmentResolve = null;
+/**
+ * Normalizes an orientation target to either a full orientation
+ * ({ quaternion }) or a tool direction only ({ direction }), where the
+ * spin about the tool axis is left free.
+ *
+ * Accepted forms: 'vertical' (tool straight down), { quaternion: {x,y,z,w} },
+ * { roll, pitch, yaw } in degrees, or { direction: {x,y,z} }.
+ */
+function parseOrientation(spec = 'vertical') {
+    if (spec === 'vertical') {
+        return { direction: DOWN };
+    }
+    if (spec && spec.quaternion) {
+        return { quaternion: quatNormalize(spec.quaternion) };
+    }
+    if (spec && ['roll', 'pitch', 'yaw'].some(key => spec[key] !== undefined)) {
+        return { quaternion: quatFromEuler(spec.roll || 0, spec.pitch || 0, spec.yaw || 0) };
+    }
+    if (spec && spec.direction) {
+        const { x = 0, y = 0, z = 0 } = spec.direction;
+        const length = Math.hypot(x, y, z);
+        if (length > 1e-9) {
+            return { direction: { x: x / length, y: y / length, z: z / length } };
+        }
+    }
+    throw new TaskError('INVALID_ORIENTATION', 'Orientation must be "vertical", a quaternion, roll/pitch/yaw or a non-zero direction');
+}
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Rotation vector that turns unit vector a onto unit vector b
+function rotationBetween(a, b) {
+    const axis = cross(a, b);
+    const sin = Math.hypot(axis.x, axis.y, axis.z);
+    const angle = Math.atan2(sin, dot(a, b));
+    if (sin < 1e-9) {
+        if (angle < Math.PI / 2) return { x: 0, y: 0, z: 0 };
+        // Opposite vectors - any perpendicular axis will do
+        const perp = Math.abs(a.x) < 0.9 ? cross(a, AXES.x) : cross(a, AXES.y);
+        const len = Math.hypot(perp.x, perp.y, perp.z);
+        return { x: perp.x / len * angle, y: perp.y / len * angle, z: perp.z / len * angle };
+    }
+    return { x: axis.x / sin * angle, y: axis.y / sin * angle, z: axis.z / sin * angle };
 }
 
-async function waitForMotionComplete(timeoutMs = 10000) {
-    if (motionComplete) return true;
+// Position error (m) and orientation error (rotation vector, rad) of a pose against the target
+function poseError(fk, targetPos, orientation) {
+    const position = {
+        x: targetPos.x - fk.endEffector.x,
+        y: targetPos.y - fk.endEffector.y,
+        z: targetPos.z - fk.endEffector.z
+    };
+    const rotation = orientation.quaternion
+        ? quatToRotationVector(quatMultiply(orientation.quaternion, quatConjugate(fk.orientation)))
+        : rotationBetween(fk.toolDirection, orientation.direction);
+    return { position, rotation };
+}
 
-    return new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-            motionCompleteResolve = null;
-            resolve(false);
-        }, timeoutMs);
+function errorMagnitudes(error) {
+    const { position, rotation } = error;
+    return {
+        positionError: Math.hypot(position.x, position.y, position.z),
+        orientationError: Math.hypot(rotation.x, rotation.y, rotation.z) * 180 / Math.PI
+    };
+}
 
-        motionCompleteResolve = () => {
-            clearTimeout(timeout);
-            motionCompleteResolve = null;
-            resolve(true);
-        };
+// Numerical 6xN Jacobian: rows are position (m/rad) then weighted angular velocity
+function computeJacobian(angles, fk, orientation) {
+    const delta = 0.01; // degrees
+    const deltaRad = delta * Math.PI / 180;
+    const columns = angles.map((_, j) => {
+        const perturbed = [...angles];
+        perturbed[j] += delta;
+        const next = forwardKinematics(perturbed);
+        let omega = quatToRotationVector(quatMultiply(next.orientation, quatConjugate(fk.orientation)));
+        if (orientation.direction) {
+            // Spinning about the tool axis does not change the tool direction
+            const along = dot(omega, fk.toolDirection);
+            omega = {
+                x: omega.x - along * fk.toolDirection.x,
+                y: omega.y - along * fk.toolDirection.y,
+                z: omega.z - along * fk.toolDirection.z
+            };
+        }
+        return [
+            (next.endEffector.x - fk.endEffector.x) / deltaRad,
+            (next.endEffector.y - fk.endEffector.y) / deltaRad,
+            (next.endEffector.z - fk.endEffector.z) / deltaRad,
+            omega.x / deltaRad * IK_ORIENTATION_WEIGHT,
+            omega.y / deltaRad * IK_ORIENTATION_WEIGHT,
+            omega.z / deltaRad * IK_ORIENTATION_WEIGHT
+        ];
     });
+    // Transpose columns into rows
+    return columns[0].map((_, row) => columns.map(col => col[row]));
 }
 
-async function waitForAttachment(objectId, timeoutMs = 3000) {
-    return new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-            attachmentResolve = null;
-            resolve(false);
-        }, timeoutMs);
+// Damped least squares refinement from a seed configuration, in the arm's own frame
+function refineIK(seed, targetPos, orientation) {
+    let angles = clampToLimits(seed);
 
-        attachmentResolve = (attachedId) => {
-            clearTimeout(timeout);
-            attachmentResolve = null;
-            resolve(attachedId === objectId);
-        };
-    });
-}
+    for (let iter = 0; iter < IK_MAX_ITERATIONS; iter++) {
+        const fk = forwardKinematics(angles);
+        const error = poseError(fk, targetPos, orientation);
+        const { positionError, orientationError } = errorMagnitudes(error);
+        if (positionError < IK_POSITION_TOLERANCE / 4 && orientationError < IK_ORIENTATION_TOLERANCE / 4) {
+            break;
+        }
 
-async function moveTo(position) {
-    const angles = solveIK(position);
-    if (!angles) {
-        throw new Error('OUT_OF_REACH');
+        const J = computeJacobian(angles, fk, orientation);
+        const e = [
+            error.position.x, error.position.y, error.position.z,
+            error.rotation.x * IK_ORIENTATION_WEIGHT,
+            error.rotation.y * IK_ORIENTATION_WEIGHT,
+            error.rotation.z * IK_ORIENTATION_WEIGHT
+        ];
+
+        // dq = J^T (J J^T + lambda^2 I)^-1 e
+        const JJt = J.map((rowA, i) => J.map((rowB, j) =>
+            rowA.reduce((sum, v, k) => sum + v * rowB[k], 0) + (i === j ? IK_DAMPING ** 2 : 0)));
+        const y = solveLinearSystem(JJt, e);
+        if (!y) break;
+
+        const step = angles.map((_, j) => J.reduce((sum, row, i) => sum + row[j] * y[i], 0) * 180 / Math.PI);
+        const largest = Math.max(...step.map(Math.abs));
+        const scale = largest > IK_MAX_STEP ? IK_MAX_STEP / largest : 1;
+
+        angles = clampToLimits(angles.map((deg, j) => deg + step[j] * scale));
     }
 
-    motionComplete = false;
-    armState.jointTargets = angles;
-    saveState();
-    broadcastCommand({ type: 'set_pose', angles });
-
-    await waitForMotionComplete();
-    await sleep(100); // Small delay for stability
+    const residual = errorMagnitudes(poseError(forwardKinematics(angles), targetPos, orientation));
+    return {
+        angles,
+        ...residual,
+        reachable: residual.positionError <= IK_POSITION_TOLERANCE && residual.orientationError <= IK_ORIENTATION_TOLERANCE
+    };
 }
 
-async function setMagnet(enabled) {
-    armState.magnetOn = enabled;
-    saveState();
-    broadcastCommand({ type: 'set_magnet', enabled });
-    await sleep(100);
-}
+/**
+ * Seed configurations for each solution branch: base facing the target
+ * with the shoulder leaning forward or reaching back over the top, elbow
+ * up or down, and the wrist pitched either way. The last two segments are
+ * assumed to lie along the tool direction, giving a planar two-link problem
+ * for the shoulder and the elbow-plus-wrist-roll link.
+ */
+function ikSeeds(targetPos, orientation, currentAngles) {
+    const { baseHeight, segments } = ARM_CONFIG;
+    const shoulderHeight = baseHeight + segments[0].length;
+    const L1 = segments[1].length;
+    const L2 = segments[2].length + segments[3].length;
+    const toolLength = segments[4].length + segments[5].length;
+
+    const direction = orientation.direction || rotateVector(orientation.quaternion, AXES.y);
+    const wrist = {
+        x: targetPos.x - direction.x * toolLength,
+        y: targetPos.y - direction.y * toolLength,
+        z: targetPos.z - direction.z * toolLength
+    };
 
-// ============================================================================
-// TASK EXECUTION FUNCTIONS
-// ============================================================================
+    const r = Math.hypot(wrist.x, wrist.z);
+    const h = wrist.y - shoulderHeight;
+    const heading = r > 1e-6 ? Math.atan2(wrist.x, wrist.z) : (currentAngles[0] - 90) * Math.PI / 180;
+    const leanDir = { x: Math.sin(heading), y: 0, z: Math.cos(heading) };
+    // Tool angle from vertical, measured in the arm plane
+    const toolAngle = Math.atan2(dot(direction, leanDir), direction.y);
+
+    // Two-link planar IK with angles measured from vertical; stretch toward the target when out of reach
+    const d = Math.min(Math.hypot(r, h), L1 + L2 - 1e-6);
+    const cosElbow = Math.max(-1, Math.min(1, (d * d - L1 * L1 - L2 * L2) / (2 * L1 * L2)));
+
+    const seeds = [[...currentAngles]];
+    for (const elbowSign of [1, -1]) {
+        const a2 = elbowSign * Math.acos(cosElbow);
+        const a1 = Math.atan2(r, h) - Math.atan2(L2 * Math.sin(a2), L1 + L2 * Math.cos(a2));
+        const a4 = toolAngle - a1 - a2;
+
+        for (const side of [1, -1]) {
+            // side 1: base turned so a positive shoulder angle leans toward the target
+            const base = normalizeAngle(heading * 180 / Math.PI + side * 90);
+            const planar = [a1, a2, a4].map(rad => side * rad * 180 / Math.PI);
+            seeds.push([base, planar[0], planar[1], 0, normalizeAngle(planar[2]), 0]);
+            // Wrist flipped: roll half a turn and pitch the other way
+            seeds.push([base, planar[0], planar[1], 180, normalizeAngle(-planar[2]), 180]);
+        }
+    }
+    return seeds;
+}
 
-async function executePickObject(objectId) {
-    const startTime = Date.now();
+function jointDistance(a, b) {
+    return a.reduce((sum, angle, i) => sum + Math.abs(angle - b[i]), 0);
+}
 
-    // 1. Find object
-    const obj = armState.objects.find(o => o.id === objectId);
-    if (!obj) {
-        return {
-            success: false,
-            message: `Object '${objectId}' not found`,
-            error_code: 'OBJECT_NOT_FOUND',
-            duration_ms: Date.now() - startTime
-        };
+/**
+ * Solves for joint angles (degrees) placing the arm's magnet at targetPos
+ * (world coordinates) with the requested orientation. Every solution branch
+ * is tried; distinct solutions within tolerance are returned in `solutions`
+ * and the one closest to currentAngles is chosen. When the pose cannot be
+ * reached, `reachable` is false and `angles` is the closest pose found, with
+ * its residual error.
+ */
+function solveIK(arm, targetPos, targetOrientation = 'vertical', currentAngles = arm.jointAngles) {
+    const orientation = orientationToArmFrame(arm, parseOrientation(targetOrientation));
+    const localTarget = toArmFrame(arm, targetPos);
+    const solutions = [];
+    let closest = null;
+
+    for (const seed of ikSeeds(localTarget, orientation, currentAngles)) {
+        const result = refineIK(seed, localTarget, orientation);
+        if (result.reachable) {
+            if (!solutions.some(s => s.angles.every((a, i) => Math.abs(a - result.angles[i]) < 1))) {
+                solutions.push(result);
+            }
+        } else if (!closest || result.positionError + result.orientationError / 100 <
+            closest.positionError + closest.orientationError / 100) {
+            closest = result;
+        }
     }
 
-    // 2. Check if already holding something
-    if (armState.magnetOn && armState.attachedObject) {
-        return {
-            success: false,
-            message: `Already holding object '${armState.attachedObject}'`,
-            error_code: 'ALREADY_HOLDING_OBJECT',
-            duration_ms: Date.now() - startTime
-        };
+    if (solutions.length === 0) {
+        return { ...closest, solutions: [] };
     }
 
-    try {
-        // 3. Compute positions
-        const abovePos = { x: obj.position.x, y: 0.30, z: obj.position.z };
-        const pickPos = { x: obj.position.x, y: obj.position.y + 0.12, z: obj.position.z };
-        const liftPos = { x: obj.position.x, y: 0.35, z: obj.position.z };
-
-        // 4. Execute sequence
-        await moveTo(abovePos);
-        await moveTo(pickPos);
-        await setMagnet(true);
+    solutions.sort((a, b) => jointDistance(a.angles, currentAngles) - jointDistance(b.angles, currentAngles));
+    return { ...solutions[0], solutions: solutions.map(s => s.angles) };
+}
 
-        // Wait for attachment
-        const attached = await waitForAttachment(objectId, 2000);
-        if (!attached) {
-            // Try again - refresh object position from state
-            await sleep(500);
-        }
+// ============================================================================
+// FORWARD KINEMATICS
+// ============================================================================
 
-        await moveTo(liftPos);
+const AXES = {
+    x: { x: 1, y: 0, z: 0 },
+    y: { x: 0, y: 1, z: 0 },
+    z: { x: 0, y: 0, z: 1 }
+};
 
-        armState.attachedObject = objectId;
-        saveState();
+function quatFromAxisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return { x: axis.x * s, y: axis.y * s, z: axis.z * s, w: Math.cos(angle / 2) };
+}
 
-        return {
-            success: true,
-            message: `Successfully picked up '${objectId}'`,
-            error_code: null,
-            duration_ms: Date.now() - startTime
-        };
-    } catch (error) {
-        return {
-            success: false,
-            message: error.message,
-            error_code: error.message,
-            duration_ms: Date.now() - startTime
-        };
-    }
+function quatMultiply(a, b) {
+    return {
+        x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+        y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+        z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+        w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+    };
 }
 
-async function executeCarryTo(x, y, z) {
-    const startTime = Date.now();
+function rotateVector(q, v) {
+    // v' = v + 2w(q x v) + 2q x (q x v)
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+    return {
+        x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+        y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+        z: v.z + q.w * tz + (q.x * ty - q.y * tx)
+    };
+}
 
-    // Check if holding an object
-    if (!armState.magnetOn || !armState.attachedObject) {
-        return {
-            success: false,
-            message: 'Not holding any object',
-            error_code: 'NO_OBJECT_HELD',
-            duration_ms: Date.now() - startTime
-        };
-    }
+function quatConjugate(q) {
+    return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
 
-    try {
-        const targetPos = { x, y, z };
-        await moveTo(targetPos);
+function quatNormalize(q) {
+    const length = Math.hypot(q.x, q.y, q.z, q.w) || 1;
+    return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
 
-        return {
-            success: true,
-            message: `Carried object to (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`,
-            error_code: null,
-            duration_ms: Date.now() - startTime
-        };
-    } catch (error) {
-        return {
-            success: false,
-            message: error.message,
-            error_code: error.message,
-            duration_ms: Date.now() - startTime
-        };
-    }
+// Roll, pitch, yaw in degrees about world X, Y, Z (applied in that order)
+function quatFromEuler(roll, pitch, yaw) {
+    const toRad = Math.PI / 180;
+    return quatMultiply(
+        quatFromAxisAngle(AXES.z, yaw * toRad),
+        quatMultiply(quatFromAxisAngle(AXES.y, pitch * toRad), quatFromAxisAngle(AXES.x, roll * toRad))
+    );
 }
 
-async function executePlaceObject(params = {}) {
-    const startTime = Date.now();
+function quatToEuler(q) {
+    const toDeg = 180 / Math.PI;
+    const sinPitch = Math.max(-1, Math.min(1, 2 * (q.w * q.y - q.z * q.x)));
+    return {
+        roll: Math.atan2(2 * (q.w * q.x + q.y * q.z), 1 - 2 * (q.x * q.x + q.y * q.y)) * toDeg,
+        pitch: Math.asin(sinPitch) * toDeg,
+        yaw: Math.atan2(2 * (q.w * q.z + q.x * q.y), 1 - 2 * (q.y * q.y + q.z * q.z)) * toDeg
+    };
+}
 
-    // Check if holding an object
-    if (!armState.magnetOn || !armState.attachedObject) {
-        return {
-            success: false,
-            message: 'Not holding any object',
-            error_code: 'NO_OBJECT_HELD',
-            duration_ms: Date.now() - startTime
-        };
+// Axis * angle (radians) of the shortest rotation represented by q
+function quatToRotationVector(q) {
+    const sign = q.w < 0 ? -1 : 1;
+    const v = { x: q.x * sign, y: q.y * sign, z: q.z * sign };
+    const sin = Math.hypot(v.x, v.y, v.z);
+    if (sin < 1e-12) {
+        return { x: 2 * v.x, y: 2 * v.y, z: 2 * v.z };
     }
+    const angle = 2 * Math.atan2(sin, q.w * sign);
+    return { x: v.x / sin * angle, y: v.y / sin * angle, z: v.z / sin * angle };
+}
 
-    const objectId = armState.attachedObject;
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
 
-    try {
-        // If position specified, move there first
-        if (params.x !== undefined && params.y !== undefined && params.z !== undefined) {
-            await moveTo({ x: params.x, y: params.y, z: params.z });
-        }
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
 
-        // Release the object
-        await setMagnet(false);
-        await sleep(500); // Let object fall
+// An arm standing at the origin facing +Z; the IK solver works in this frame
+const ORIGIN_BASE = { position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } };
+
+/**
+ * Walks the same segment chain as updateArmKinematics() in index.html, from
+ * an arm base pose ({ position, rotation }, see ARMS). Angles are in degrees.
+ * Returns the world position of every joint, the orientation of each
+ * segment, and the end effector (magnet centre) pose. The tool axis is the
+ * last segment's local +Y.
+ */
+function forwardKinematics(angles, base = ORIGIN_BASE) {
+    const column = rotateVector(base.rotation, { x: 0, y: ARM_CONFIG.baseHeight, z: 0 });
+    let position = { x: base.position.x + column.x, y: base.position.y + column.y, z: base.position.z + column.z };
+    let rotation = base.rotation;
+    const joints = [];
+    const segmentRotations = [];
+
+    ARM_CONFIG.segments.forEach((seg, i) => {
+        const angle = angles[i] * Math.PI / 180;
+        rotation = quatMultiply(rotation, quatFromAxisAngle(AXES[seg.axis], angle));
+        joints.push({ ...position });
+        segmentRotations.push({ ...rotation });
+
+        const segEnd = rotateVector(rotation, { x: 0, y: seg.length, z: 0 });
+        position = { x: position.x + segEnd.x, y: position.y + segEnd.y, z: position.z + segEnd.z };
+    });
 
-        armState.attachedObject = null;
-        saveState();
+    return {
+        joints,
+        segmentRotations,
+        endEffector: position,
+        orientation: rotation,
+        toolDirection: rotateVector(rotation, AXES.y)
+    };
+}
 
-        return {
-            success: true,
-            message: `Placed object '${objectId}'`,
-            error_code: null,
-            duration_ms: Date.now() - startTime
-        };
-    } catch (error) {
-        return {
-            success: false,
-            message: error.message,
-            error_code: error.message,
-            duration_ms: Date.now() - startTime
-        };
+function roundVector(v, digits = 4) {
+    const f = 10 ** digits;
+    const out = {};
+    for (const key of Object.keys(v)) {
+        out[key] = Math.round(v[key] * f) / f;
     }
+    return out;
 }
 
-async function executeDance(durationSeconds) {
-    const startTime = Date.now();
+// ============================================================================
+// TRAJECTORY PLANNING
+// ============================================================================
 
-    const danceFrames = [
-        [0, 0, 0, 0, 0, 0],           // Home
-        [45, 20, -30, 0, 10, 90],     // Wave right
-        [-45, 20, -30, 0, 10, -90],   // Wave left
-        [0, 45, -90, 45, 30, 0],      // Reach up
-        [0, -10, 30, 0, -20, 180],    // Bow
-        [90, 30, -60, 90, 0, 45],     // Pose 1
-        [-90, 30, -60, -90, 0, -45],  // Pose 2
-        [0, 0, 0, 0, 0, 0],           // Home
-    ];
+const TRAJECTORY_DT = 20;           // ms between trajectory samples
+const LINEAR_SPEED = 0.15;          // m/s default Cartesian speed
+const LINEAR_ACCELERATION = 0.5;    // m/s^2 default Cartesian acceleration
+const LINEAR_BLEND_RADIUS = 0.02;   // m default corner blend at intermediate waypoints
+const RETIME_TOLERANCE = 0.01;      // fraction over a joint limit left alone when retiming
+const RETIME_MAX_PASSES = 50;
+
+function lerpVector(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
 
-    const frameTime = (durationSeconds * 1000) / danceFrames.length;
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
 
-    for (const frame of danceFrames) {
-        motionComplete = false;
-        armState.jointTargets = frame;
-        saveState();
-        broadcastCommand({ type: 'set_pose', angles: frame });
+/**
+ * Rest-to-rest trapezoidal profile over `length` (any unit) with the given
+ * velocity and acceleration limits. Falls back to a triangular profile when
+ * the move is too short to reach full speed.
+ */
+function trapezoidalProfile(length, maxVelocity, maxAcceleration) {
+    if (length <= 0) {
+        return { duration: 0, positionAt: () => 0 };
+    }
 
-        await sleep(frameTime);
-        await waitForMotionComplete(5000);
+    let accelTime = maxVelocity / maxAcceleration;
+    let accelDist = 0.5 * maxAcceleration * accelTime ** 2;
+    let peakVelocity = maxVelocity;
+    if (2 * accelDist > length) {
+        accelTime = Math.sqrt(length / maxAcceleration);
+        accelDist = length / 2;
+        peakVelocity = maxAcceleration * accelTime;
     }
+    const cruiseTime = (length - 2 * accelDist) / peakVelocity;
+    const duration = 2 * accelTime + cruiseTime;
 
     return {
-        success: true,
-        message: `Dance completed (${durationSeconds}s)`,
-        error_code: null,
-        duration_ms: Date.now() - startTime
+        duration,
+        positionAt(t) {
+            if (t <= 0) return 0;
+            if (t >= duration) return length;
+            if (t < accelTime) return 0.5 * maxAcceleration * t * t;
+            if (t < accelTime + cruiseTime) return accelDist + peakVelocity * (t - accelTime);
+            return length - 0.5 * maxAcceleration * (duration - t) ** 2;
+        }
     };
 }
 
-async function executeResetToBase() {
-    const startTime = Date.now();
+// Normalized trapezoid: accelerate for accelFraction of the move, cruise, then brake
+function trapezoidShape(tau, accelFraction) {
+    const a = accelFraction;
+    if (tau < a) return tau * tau / (2 * a * (1 - a));
+    if (tau <= 1 - a) return (tau - a / 2) / (1 - a);
+    return 1 - (1 - tau) ** 2 / (2 * a * (1 - a));
+}
+
+// Normalized quintic S-curve: zero velocity and acceleration at both ends
+function sCurveShape(tau) {
+    return tau ** 3 * (10 - 15 * tau + 6 * tau * tau);
+}
 
-    // Turn off magnet if on
-    if (armState.magnetOn) {
-        await setMagnet(false);
-        armState.attachedObject = null;
+// Peak normalized velocity, acceleration and jerk of sCurveShape()
+const S_CURVE_PEAKS = { velocity: 1.875, acceleration: 5.7735, jerk: 60 };
+
+/**
+ * Time-synchronized profile for a joint move: every joint follows the same
+ * normalized shape, so all start and finish together and the move is a
+ * straight line in joint space. The duration is the shortest that keeps each
+ * joint inside its jointMotionLimits, divided by speedScale.
+ *
+ * Returns { duration (s), shapeAt(tau) } with tau and shapeAt in [0, 1].
+ */
+function synchronizedProfile(distances, speedScale = 1, profile = MOTION_PROFILE) {
+    const limits = jointMotionLimits;
+
+    if (profile === 'trapezoidal') {
+        // Search the acceleration fraction that minimizes the slowest joint's time
+        let best = { duration: Infinity, accelFraction: 0.25 };
+        for (let accelFraction = 0.05; accelFraction <= 0.5 + 1e-9; accelFraction += 0.05) {
+            const duration = Math.max(0, ...distances.map((d, i) => Math.max(
+                d / ((1 - accelFraction) * limits[i].maxVelocity),
+                Math.sqrt(d / (accelFraction * (1 - accelFraction) * limits[i].maxAcceleration))
+            )));
+            if (duration < best.duration) {
+                best = { duration, accelFraction };
+            }
+        }
+        return { duration: best.duration / speedScale, shapeAt: tau => trapezoidShape(tau, best.accelFraction) };
     }
 
-    // Reset to home position
-    const homeAngles = [0, 0, 0, 0, 0, 0];
-    motionComplete = false;
-    armState.jointTargets = homeAngles;
-    saveState();
-    broadcastCommand({ type: 'set_pose', angles: homeAngles });
+    const duration = Math.max(0, ...distances.map((d, i) => Math.max(
+        S_CURVE_PEAKS.velocity * d / limits[i].maxVelocity,
+        Math.sqrt(S_CURVE_PEAKS.acceleration * d / limits[i].maxAcceleration),
+        Math.cbrt(S_CURVE_PEAKS.jerk * d / limits[i].maxJerk)
+    )));
+    return { duration: duration / speedScale, shapeAt: sCurveShape };
+}
 
-    await waitForMotionComplete();
+// Samples a synchronized point-to-point joint move into a timed trajectory (t in ms)
+function planJointMove(startAngles, goalAngles, speedScale = 1) {
+    const deltas = goalAngles.map((goal, i) => goal - startAngles[i]);
+    const profile = synchronizedProfile(deltas.map(Math.abs), speedScale);
+    const steps = Math.max(1, Math.ceil(profile.duration * 1000 / TRAJECTORY_DT));
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const u = profile.shapeAt(i / steps);
+        points.push({
+            t: profile.duration * 1000 * i / steps,
+            angles: startAngles.map((angle, j) => angle + deltas[j] * u)
+        });
+    }
+    points[points.length - 1].angles = [...goalAngles];
+
+    return { points, duration: profile.duration * 1000 };
+}
+
+function lineSegment(a, b) {
+    return { length: distance(a, b), pointAt: u => lerpVector(a, b, u) };
+}
+
+// Quadratic Bezier rounding a corner; length approximated by sampling
+function blendSegment(entry, corner, exit) {
+    const pointAt = u => lerpVector(lerpVector(entry, corner, u), lerpVector(corner, exit, u), u);
+    let length = 0;
+    let prev = entry;
+    for (let i = 1; i <= 16; i++) {
+        const p = pointAt(i / 16);
+        length += distance(prev, p);
+        prev = p;
+    }
+    return { length, pointAt };
+}
+
+/**
+ * Polyline through the waypoints with each intermediate corner replaced by
+ * a blend that starts and ends blendRadius from the corner (capped at half
+ * of each adjoining leg so neighbouring blends never overlap).
+ */
+function buildCartesianPath(points, blendRadius) {
+    const segments = [];
+    let start = points[0];
+
+    for (let i = 1; i < points.length; i++) {
+        const corner = points[i];
+        const next = points[i + 1];
+        if (!next || blendRadius <= 0) {
+            segments.push(lineSegment(start, corner));
+            start = corner;
+            continue;
+        }
+
+        const inLength = distance(points[i - 1], corner);
+        const outLength = distance(corner, next);
+        const radius = Math.min(blendRadius, inLength / 2, outLength / 2);
+        if (radius <= 1e-6) {
+            segments.push(lineSegment(start, corner));
+            start = corner;
+            continue;
+        }
+        const entry = lerpVector(corner, points[i - 1], radius / inLength);
+        const exit = lerpVector(corner, next, radius / outLength);
+        segments.push(lineSegment(start, entry));
+        segments.push(blendSegment(entry, corner, exit));
+        start = exit;
+    }
+
+    const nonEmpty = segments.filter(seg => seg.length > 1e-9);
+    const length = nonEmpty.reduce((sum, seg) => sum + seg.length, 0);
+
+    return {
+        length,
+        pointAt(s) {
+            let remaining = Math.max(0, Math.min(s, length));
+            for (const seg of nonEmpty) {
+                if (remaining <= seg.length) return seg.pointAt(remaining / seg.length);
+                remaining -= seg.length;
+            }
+            return points[points.length - 1];
+        }
+    };
+}
+
+// Orientation target at fraction u of the way from the current pose to the goal
+function interpolateOrientation(fk, goal, u) {
+    if (goal.direction) {
+        const turn = rotationBetween(fk.toolDirection, goal.direction);
+        const angle = Math.hypot(turn.x, turn.y, turn.z) * u;
+        if (angle < 1e-9) return { direction: goal.direction };
+        const axis = { x: turn.x / angle * u, y: turn.y / angle * u, z: turn.z / angle * u };
+        return { direction: rotateVector(quatFromAxisAngle(axis, angle), fk.toolDirection) };
+    }
+    const delta = quatToRotationVector(quatMultiply(goal.quaternion, quatConjugate(fk.orientation)));
+    const angle = Math.hypot(delta.x, delta.y, delta.z) * u;
+    if (angle < 1e-9) return { quaternion: goal.quaternion };
+    const axis = { x: delta.x / angle * u, y: delta.y / angle * u, z: delta.z / angle * u };
+    return { quaternion: quatMultiply(quatFromAxisAngle(axis, angle), fk.orientation) };
+}
+
+/**
+ * Slows down only the stretches of a sampled trajectory (t in ms, changed in
+ * place) where a joint would exceed its velocity or acceleration limit,
+ * scaled by speedScale. Stretching an interval by k divides its velocity by
+ * k; an acceleration over the limit stretches both intervals around the
+ * sample, dividing that acceleration by k². Each stretch changes the
+ * accelerations next to it, so passes repeat until no limit is exceeded.
+ */
+function retimeToJointLimits(points, speedScale) {
+    const dts = points.slice(1).map((p, i) => (p.t - points[i].t) / 1000);
+    const delta = (i, j) => points[i + 1].angles[j] - points[i].angles[j];
+
+    for (let pass = 0; pass < RETIME_MAX_PASSES; pass++) {
+        let stretched = false;
+        for (let i = 0; i < dts.length; i++) {
+            jointMotionLimits.forEach((limits, j) => {
+                const velocity = Math.abs(delta(i, j)) / dts[i] / (limits.maxVelocity * speedScale);
+                if (velocity > 1 + RETIME_TOLERANCE) {
+                    dts[i] *= velocity;
+                    stretched = true;
+                }
+                if (i === 0) return;
+                const change = delta(i, j) / dts[i] - delta(i - 1, j) / dts[i - 1];
+                const accel = Math.abs(change) / ((dts[i] + dts[i - 1]) / 2) / (limits.maxAcceleration * speedScale ** 2);
+                if (accel > 1 + RETIME_TOLERANCE) {
+                    const k = Math.sqrt(accel);
+                    dts[i] *= k;
+                    dts[i - 1] *= k;
+                    stretched = true;
+                }
+            });
+        }
+        if (!stretched) break;
+    }
+
+    dts.forEach((dt, i) => { points[i + 1].t = points[i].t + dt * 1000; });
+}
+
+// Reachable solution on any branch closest to the given angles, or null; in the arm's frame
+function closestBranchIK(angles, targetPos, orientation) {
+    let best = null;
+    for (const seed of ikSeeds(targetPos, orientation, angles)) {
+        const result = refineIK(seed, targetPos, orientation);
+        if (result.reachable && (!best || jointDistance(result.angles, angles) < jointDistance(best.angles, angles))) {
+            best = result;
+        }
+    }
+    return best;
+}
+
+/**
+ * Plans a straight-line (or blended multi-waypoint) Cartesian move of an arm
+ * from the given joint angles. The path is time-parameterized with a
+ * trapezoidal speed profile, sampled every TRAJECTORY_DT and solved through
+ * IK seeded from the previous sample so the arm stays on one solution
+ * branch. Where that branch runs out (a joint at its limit), a joint move
+ * changes to the closest branch that reaches the sample. Stretches that
+ * would push a joint past its velocity or acceleration limit (scaled by
+ * speedScale) are slowed down; see retimeToJointLimits.
+ * Waypoints are in world coordinates; the path is planned in the arm's frame.
+ *
+ * Returns { points: [{ t, angles }], duration } with t in ms.
+ */
+function planCartesianPath(arm, startAngles, waypoints, options = {}) {
+    const {
+        orientation = 'vertical',
+        speed = LINEAR_SPEED,
+        acceleration = LINEAR_ACCELERATION,
+        blendRadius = LINEAR_BLEND_RADIUS,
+        speedScale = 1
+    } = options;
+
+    const goal = orientationToArmFrame(arm, parseOrientation(orientation));
+    const startFk = forwardKinematics(startAngles);
+    const path = buildCartesianPath([startFk.endEffector, ...waypoints.map(point => toArmFrame(arm, point))], blendRadius);
+    const profile = trapezoidalProfile(path.length, speed * speedScale, acceleration * speedScale ** 2);
+    // Pure reorientation still needs time to turn the wrist
+    const duration = Math.max(profile.duration, path.length === 0 ? 1 : 0);
+
+    const points = [{ t: 0, angles: [...startAngles] }];
+    let angles = [...startAngles];
+    let delay = 0; // ms spent changing branches
+    const steps = Math.max(1, Math.ceil(duration * 1000 / TRAJECTORY_DT));
+
+    for (let i = 1; i <= steps; i++) {
+        const t = duration * i / steps;
+        const s = profile.positionAt(t);
+        const u = path.length > 0 ? s / path.length : i / steps;
+        const target = path.pointAt(s);
+        const orientationTarget = interpolateOrientation(startFk, goal, u);
+        const result = refineIK(angles, target, orientationTarget);
+        const branch = result.reachable ? null : closestBranchIK(angles, target, orientationTarget);
+        if (branch) {
+            const change = planJointMove(angles, branch.angles, speedScale);
+            const from = points[points.length - 1].t;
+            change.points.slice(1).forEach(p => points.push({ t: from + p.t, angles: p.angles }));
+            delay = from + change.duration - t * 1000;
+            angles = branch.angles;
+            continue;
+        }
+        if (!result.reachable) {
+            const position = fromArmFrame(arm, target);
+            throw new TaskError('OUT_OF_REACH',
+                `Path leaves the workspace at (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}): ` +
+                `off by ${result.positionError.toFixed(3)} m and ${result.orientationError.toFixed(1)}°`);
+        }
+        angles = result.angles;
+        points.push({ t: t * 1000 + delay, angles });
+    }
+
+    retimeToJointLimits(points, speedScale);
+    return { points, duration: points[points.length - 1].t };
+}
+
+// ============================================================================
+// COLLISION CHECKING
+// ============================================================================
+
+// Arm links are capsules around each segment (radii from ARM_CONFIG.segments) plus
+// a sphere for the magnet. Scene objects are axis-aligned boxes, vertical
+// cylinders or spheres, sized the same way the browser builds their colliders.
+// Links of the other arms are named '<arm id>.<link>', e.g. 'right.forearm'.
+const LINK_NAMES = ['column', 'upper_arm', 'forearm', 'wrist_1', 'wrist_2', 'wrist_3', 'magnet'];
+const MAGNET_RADIUS = 0.04;
+const BASE_SHAPE = { name: 'base', type: 'cylinder', center: { x: 0, y: 0.05, z: 0 }, radius: 0.15, halfHeight: 0.05 }; // at the arm's base position
+const COLLISION_TOLERANCE = 0.002; // meters of allowed penetration
+
+function objectShape(obj, position = obj.position) {
+    const halfHeight = objectHalfHeight(obj);
+    if (obj.type === 'cylinder') {
+        return { name: obj.id, type: 'cylinder', center: position, radius: obj.size, halfHeight };
+    }
+    if (obj.type === 'sphere') {
+        return { name: obj.id, type: 'sphere', center: position, radius: obj.size };
+    }
+    return { name: obj.id, type: 'box', center: position, half: halfHeight };
+}
+
+// Distance from a point to the surface of a convex shape (0 inside)
+function pointShapeDistance(p, shape) {
+    const dx = p.x - shape.center.x;
+    const dy = p.y - shape.center.y;
+    const dz = p.z - shape.center.z;
+    if (shape.type === 'box') {
+        return Math.hypot(
+            Math.max(Math.abs(dx) - shape.half, 0),
+            Math.max(Math.abs(dy) - shape.half, 0),
+            Math.max(Math.abs(dz) - shape.half, 0)
+        );
+    }
+    if (shape.type === 'cylinder') {
+        return Math.hypot(Math.max(Math.hypot(dx, dz) - shape.radius, 0), Math.max(Math.abs(dy) - shape.halfHeight, 0));
+    }
+    return Math.max(Math.hypot(dx, dy, dz) - shape.radius, 0);
+}
+
+// Distance to a convex shape is convex along a segment, so golden-section search finds the minimum
+function segmentShapeDistance(a, b, shape) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 30; i++) {
+        const m1 = hi - ratio * (hi - lo);
+        const m2 = lo + ratio * (hi - lo);
+        if (pointShapeDistance(lerpVector(a, b, m1), shape) < pointShapeDistance(lerpVector(a, b, m2), shape)) {
+            hi = m2;
+        } else {
+            lo = m1;
+        }
+    }
+    return pointShapeDistance(lerpVector(a, b, (lo + hi) / 2), shape);
+}
+
+// Closest distance between segments p1-q1 and p2-q2
+function segmentSegmentDistance(p1, q1, p2, q2) {
+    const d1 = { x: q1.x - p1.x, y: q1.y - p1.y, z: q1.z - p1.z };
+    const d2 = { x: q2.x - p2.x, y: q2.y - p2.y, z: q2.z - p2.z };
+    const r = { x: p1.x - p2.x, y: p1.y - p2.y, z: p1.z - p2.z };
+    const a = dot(d1, d1);
+    const e = dot(d2, d2);
+    const f = dot(d2, r);
+    let s = 0;
+    let t = 0;
+
+    if (a < 1e-12 && e < 1e-12) {
+        return distance(p1, p2);
+    }
+    if (a < 1e-12) {
+        t = Math.max(0, Math.min(1, f / e));
+    } else {
+        const c = dot(d1, r);
+        if (e < 1e-12) {
+            s = Math.max(0, Math.min(1, -c / a));
+        } else {
+            const b = dot(d1, d2);
+            const denom = a * e - b * b;
+            s = denom > 1e-12 ? Math.max(0, Math.min(1, (b * f - c * e) / denom)) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = Math.max(0, Math.min(1, -c / a));
+            } else if (t > 1) {
+                t = 1;
+                s = Math.max(0, Math.min(1, (b - c) / a));
+            }
+        }
+    }
+
+    return distance(lerpVector(p1, q1, s), lerpVector(p2, q2, t));
+}
+
+// Held objects are checked by their bounding boxes, so resting one on top of another is not a collision
+function boundsOverlap(objA, posA, objB, posB) {
+    const widths = objectHalfWidth(objA) + objectHalfWidth(objB) - COLLISION_TOLERANCE;
+    return Math.abs(posA.x - posB.x) < widths &&
+        Math.abs(posA.z - posB.z) < widths &&
+        Math.abs(posA.y - posB.y) < objectHalfHeight(objA) + objectHalfHeight(objB) - COLLISION_TOLERANCE;
+}
+
+// Capsules for every link of an arm at the given joint angles
+function armCapsules(arm, angles) {
+    const fk = forwardKinematics(angles, arm.base);
+    const capsules = ARM_CONFIG.segments.map((seg, i) => ({
+        name: LINK_NAMES[i],
+        a: fk.joints[i],
+        b: fk.joints[i + 1] || fk.endEffector,
+        radius: seg.radius
+    }));
+    capsules.push({ name: 'magnet', a: fk.endEffector, b: fk.endEffector, radius: MAGNET_RADIUS });
+    return { capsules, endEffector: fk.endEffector };
+}
+
+/**
+ * Bases and link capsules of every arm but this one. At a time `at` (epoch
+ * ms) a moving arm is placed where its trajectory has it then; without one
+ * it is checked both where it is and where its motion ends.
+ */
+function otherArmShapes(arm, at) {
+    const bases = [];
+    const capsules = [];
+    for (const other of currentWorld().arms) {
+        if (other === arm) continue;
+        bases.push({ ...other.baseShape, name: `${other.id}.base` });
+        const poses = at !== undefined ? [armAnglesAt(other, at)]
+            : other.trajectory ? [other.jointAngles, other.state.jointTargets] : [other.jointAngles];
+        for (const angles of poses) {
+            armCapsules(other, angles).capsules.forEach(capsule => {
+                capsules.push({ ...capsule, link: capsule.name, name: `${other.id}.${capsule.name}` });
+            });
+        }
+    }
+    return { bases, capsules };
+}
+
+/**
+ * Every colliding pair for an arm at a joint configuration, as [nameA, nameB].
+ * Checks links against the floor, the bases, scene objects, the other arms
+ * and each other (non-adjacent links only), and a held object against the
+ * other objects and arms. Objects listed in options.ignore are skipped - e.g.
+ * the one being picked. options.at places moving arms (see otherArmShapes);
+ * options.others reuses shapes from otherArmShapes() across many checks.
+ * A magnet may touch an object another arm holds, as it does in a handover.
+ */
+function findCollisions(arm, angles, options = {}) {
+    const world = currentWorld();
+    const ignore = new Set(options.ignore || []);
+    const heldId = arm.state.attachedObject;
+    const { capsules, endEffector } = armCapsules(arm, angles);
+    const others = options.others ?? otherArmShapes(arm, options.at);
+    const obstacles = world.state.objects
+        .filter(obj => obj.id !== heldId && !ignore.has(obj.id))
+        .map(obj => ({ ...objectShape(obj), handover: isHeld(obj.id) }));
+    const collisions = [];
+
+    capsules.forEach((capsule, i) => {
+        const limit = capsule.radius - COLLISION_TOLERANCE;
+        if (Math.min(capsule.a.y, capsule.b.y) < limit) {
+            collisions.push([capsule.name, 'floor']);
+        }
+        if (i > 0 && segmentShapeDistance(capsule.a, capsule.b, arm.baseShape) < limit) {
+            collisions.push([capsule.name, 'base']);
+        }
+        for (const shape of [...obstacles, ...others.bases]) {
+            if (shape.handover && capsule.name === 'magnet') continue;
+            if (segmentShapeDistance(capsule.a, capsule.b, shape) < limit) {
+                collisions.push([capsule.name, shape.name]);
+            }
+        }
+        for (let j = i + 2; j < capsules.length; j++) {
+            const other = capsules[j];
+            if (segmentSegmentDistance(capsule.a, capsule.b, other.a, other.b) < capsule.radius + other.radius - COLLISION_TOLERANCE) {
+                collisions.push([capsule.name, other.name]);
+            }
+        }
+        for (const other of others.capsules) {
+            if (segmentSegmentDistance(capsule.a, capsule.b, other.a, other.b) < capsule.radius + other.radius - COLLISION_TOLERANCE) {
+                collisions.push([capsule.name, other.name]);
+            }
+        }
+    });
+
+    const held = world.state.objects.find(o => o.id === heldId);
+    if (held) {
+        const heldPos = {
+            x: endEffector.x,
+            y: Math.max(endEffector.y - ARM_CONFIG.heldObjectOffset, objectHalfHeight(held) + 0.01),
+            z: endEffector.z
+        };
+        for (const other of world.state.objects) {
+            if (other.id === heldId || ignore.has(other.id)) continue;
+            if (boundsOverlap(held, heldPos, other, other.position)) {
+                collisions.push([held.id, other.id]);
+            }
+        }
+        const heldShape = objectShape(held, heldPos);
+        for (const other of others.capsules) {
+            if (other.link === 'magnet') continue;
+            if (segmentShapeDistance(other.a, other.b, heldShape) < other.radius - COLLISION_TOLERANCE) {
+                collisions.push([held.id, other.name]);
+            }
+        }
+    }
+
+    return collisions;
+}
+
+// First sample of a trajectory that hits something not already in contact
+// at the start pose, as { pair, angles }, or null if the motion is clear.
+// Sample times count from options.startTime (default now), so the other
+// arms are checked where their own motions will have taken them.
+function trajectoryCollision(arm, points, options = {}) {
+    const key = pair => pair.join('|');
+    const startTime = options.startTime ?? Date.now();
+    const collisionsAt = point => findCollisions(arm, point.angles, { ...options, at: startTime + point.t });
+    const initial = new Set(collisionsAt(points[0]).map(key));
+
+    for (const point of points) {
+        const hit = collisionsAt(point).find(pair => !initial.has(key(pair)));
+        if (hit) return { pair: hit, angles: point.angles };
+    }
+    return null;
+}
+
+/**
+ * Checks every sample of a planned trajectory and throws a COLLISION
+ * TaskError naming the first colliding pair. Pairs already in contact at
+ * the start pose are allowed so the arm can always move clear of them.
+ */
+function checkTrajectory(arm, points, options = {}) {
+    const collision = trajectoryCollision(arm, points, options);
+    if (collision) {
+        const [a, b] = collision.pair;
+        const at = forwardKinematics(collision.angles, arm.base).endEffector;
+        throw new TaskError('COLLISION',
+            `Planned motion would collide: ${a} with ${b} ` +
+            `(magnet at ${at.x.toFixed(2)}, ${at.y.toFixed(2)}, ${at.z.toFixed(2)})`,
+            { collision: { a, b } });
+    }
+}
+
+// ============================================================================
+// MOTION PLANNING
+// ============================================================================
+
+const PLANNER_MAX_ITERATIONS = 5000; // before giving up with NO_PATH_FOUND; a count, not a clock, so a seed reproduces on any machine
+const PLANNER_BATCH = 10;            // iterations between yields to the event loop
+const PLANNER_STEP = 10;             // degrees, max joint change per tree extension
+const PLANNER_EDGE_RESOLUTION = 2;   // degrees between collision checks along an edge
+const PLANNER_SHORTCUT_ATTEMPTS = 100;
+const PLANNER_DEFAULT_SEED = process.env.PLANNER_SEED !== undefined ? Number(process.env.PLANNER_SEED) : null;
+
+// mulberry32 - small seeded PRNG returning floats in [0, 1)
+function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomConfiguration(rng) {
+    return Object.values(jointLimits).map(([min, max]) => min + rng() * (max - min));
+}
+
+// Largest single-joint difference, which bounds how far any link can sweep
+function maxJointDelta(a, b) {
+    return Math.max(...a.map((angle, i) => Math.abs(angle - b[i])));
+}
+
+// Collision predicates for one planning query. Contacts present at the start
+// pose are tolerated, matching checkTrajectory. The other arms are checked
+// where they are and where their current motions end.
+function createValidityChecker(arm, startAngles, options) {
+    const key = pair => pair.join('|');
+    const checkOptions = { ...options, others: otherArmShapes(arm) };
+    const initial = new Set(findCollisions(arm, startAngles, checkOptions).map(key));
+    const isValid = angles => findCollisions(arm, angles, checkOptions).every(pair => initial.has(key(pair)));
+    const isEdgeValid = (a, b) => {
+        const steps = Math.ceil(maxJointDelta(a, b) / PLANNER_EDGE_RESOLUTION);
+        for (let i = 1; i <= steps; i++) {
+            if (!isValid(a.map((angle, j) => angle + (b[j] - angle) * i / steps))) return false;
+        }
+        return true;
+    };
+    return { isValid, isEdgeValid };
+}
+
+function nearestNode(tree, angles) {
+    let best = 0;
+    let bestDist = Infinity;
+    tree.forEach((node, i) => {
+        const d = jointDistance(node.angles, angles);
+        if (d < bestDist) {
+            best = i;
+            bestDist = d;
+        }
+    });
+    return best;
+}
+
+// Grows the tree one step toward target. Returns 'reached', 'advanced' or 'trapped'.
+function extendTree(tree, target, isEdgeValid) {
+    const nearest = tree[nearestNode(tree, target)];
+    const delta = maxJointDelta(nearest.angles, target);
+    const reached = delta <= PLANNER_STEP;
+    const angles = reached ? [...target]
+        : nearest.angles.map((angle, i) => angle + (target[i] - angle) * PLANNER_STEP / delta);
+
+    if (!isEdgeValid(nearest.angles, angles)) return 'trapped';
+    tree.push({ angles, parent: nearest });
+    return reached ? 'reached' : 'advanced';
+}
+
+function pathToRoot(node) {
+    const path = [];
+    for (; node; node = node.parent) path.push(node.angles);
+    return path;
+}
+
+/**
+ * RRT-Connect in joint space: one tree grows from the start, one from every
+ * goal configuration, and each new node is greedily connected to the other
+ * tree. Resolves to a list of joint configurations, or null after
+ * maxIterations. Yields to the event loop every PLANNER_BATCH iterations so
+ * the simulation, stop requests and other worlds keep running; onYield may
+ * throw to abandon the search (e.g. when the task is cancelled).
+ */
+async function rrtConnect(startAngles, goals, checker, rng, { maxIterations = PLANNER_MAX_ITERATIONS, onYield } = {}) {
+    const startTree = [{ angles: [...startAngles], parent: null }];
+    const goalTree = goals.map(angles => ({ angles: [...angles], parent: null }));
+    let [treeA, treeB] = [startTree, goalTree];
+
+    for (let i = 0; i < maxIterations; i++) {
+        if (i > 0 && i % PLANNER_BATCH === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+            onYield?.();
+        }
+        if (extendTree(treeA, randomConfiguration(rng), checker.isEdgeValid) !== 'trapped') {
+            const newNode = treeA[treeA.length - 1];
+            let status;
+            do {
+                status = extendTree(treeB, newNode.angles, checker.isEdgeValid);
+            } while (status === 'advanced');
+
+            if (status === 'reached') {
+                const fromA = pathToRoot(newNode);
+                const fromB = pathToRoot(treeB[treeB.length - 1]).slice(1);
+                const path = [...fromA.reverse(), ...fromB];
+                return treeA === startTree ? path : path.reverse();
+            }
+        }
+        [treeA, treeB] = [treeB, treeA];
+    }
+    return null;
+}
+
+// Random shortcutting: drop intermediate waypoints wherever a direct edge is clear
+function shortcutPath(path, isEdgeValid, rng) {
+    const result = [...path];
+    for (let k = 0; k < PLANNER_SHORTCUT_ATTEMPTS && result.length > 2; k++) {
+        const i = Math.floor(rng() * (result.length - 2));
+        const j = i + 2 + Math.floor(rng() * (result.length - i - 2));
+        if (isEdgeValid(result[i], result[j])) {
+            result.splice(i + 1, j - i - 1);
+        }
+    }
+    return result;
+}
+
+// Chains stop-and-go joint moves through each waypoint into one trajectory
+function timeParameterizePath(path, speedScale) {
+    const points = [{ t: 0, angles: [...path[0]] }];
+    let offset = 0;
+    for (let i = 1; i < path.length; i++) {
+        const move = planJointMove(path[i - 1], path[i], speedScale);
+        for (const point of move.points.slice(1)) {
+            points.push({ t: offset + point.t, angles: point.angles });
+        }
+        offset += move.duration;
+    }
+    return { points, duration: offset };
+}
+
+/**
+ * Collision-free joint move of an arm to any of the goal configurations
+ * (e.g. every IK solution for a target). A direct synchronized move is used
+ * when it is clear; otherwise RRT-Connect plans around obstacles and the
+ * path is shortcut and time-parameterized.
+ *
+ * Options: speedScale, ignore (object ids), seed (for reproducible plans),
+ * maxIterations. Throws COLLISION if every goal is itself in collision,
+ * NO_PATH_FOUND if the planner runs out of iterations, and CANCELLED if the
+ * arm's task is cancelled while planning.
+ */
+async function planCollisionFreeMove(arm, startAngles, goals, options = {}) {
+    const { speedScale = 1, maxIterations = PLANNER_MAX_ITERATIONS } = options;
+    const checker = createValidityChecker(arm, startAngles, options);
+
+    const validGoals = goals.filter(checker.isValid);
+    if (validGoals.length === 0) {
+        const [a, b] = findCollisions(arm, goals[0], options)[0];
+        throw new TaskError('COLLISION', `Target pose collides: ${a} with ${b}`, { collision: { a, b } });
+    }
+
+    for (const goal of validGoals) {
+        const direct = planJointMove(startAngles, goal, speedScale);
+        if (!trajectoryCollision(arm, direct.points, options)) {
+            log('debug', 'Planned direct joint move', { duration_ms: Math.round(direct.duration) });
+            return direct;
+        }
+    }
+
+    const seed = options.seed ?? PLANNER_DEFAULT_SEED ?? Math.floor(Math.random() * 2 ** 32);
+    const rng = createRng(seed);
+    const path = await rrtConnect(startAngles, validGoals, checker, rng, { maxIterations, onYield: () => throwIfCancelled(arm) });
+    if (!path) {
+        log('warn', 'Motion planner found no path', { seed, max_iterations: maxIterations });
+        throw new TaskError('NO_PATH_FOUND',
+            `No collision-free path found within ${maxIterations} planner iterations (planner seed ${seed})`, { seed });
+    }
+
+    // Edges are only checked at PLANNER_EDGE_RESOLUTION; the profiled samples are checked again on start
+    log('debug', 'Planned path around obstacles', { seed, waypoints: path.length });
+    return timeParameterizePath(shortcutPath(path, checker.isEdgeValid, rng), speedScale);
+}
+
+// ============================================================================
+// ARMS
+// ============================================================================
+
+// ARMS lists the arms sharing the workspace as JSON, e.g.
+//   ARMS='[{"id":"left","x":-0.45},{"id":"right","x":0.45,"yaw":180}]'
+// Each arm is the ARM_CONFIG chain standing on the floor at (x, z) and turned
+// yaw degrees about +Y (0 faces +Z). Without ARMS there is one arm, 'arm1',
+// at the origin. Every arm has its own joints, magnet and task queue; tools
+// take an arm_id that defaults to the first arm.
+const DEFAULT_ARM_ID = 'arm1';
+const ARM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const ARM_SPECS = parseArmSpecs(process.env.ARMS);
+
+function parseArmSpecs(spec) {
+    if (!spec) return [{ id: DEFAULT_ARM_ID, x: 0, z: 0, yaw: 0 }];
+
+    let list;
+    try {
+        list = JSON.parse(spec);
+    } catch (e) {
+        throw new Error(`ARMS is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('ARMS must be a non-empty JSON array of { id, x, z, yaw }');
+    }
+    return list.map((entry, i) => {
+        const { id, x = 0, z = 0, yaw = 0 } = entry || {};
+        if (typeof id !== 'string' || !ARM_ID_PATTERN.test(id) || list.slice(0, i).some(other => other?.id === id)) {
+            throw new Error(`ARMS entry ${i + 1} needs a unique id of 1-32 letters, digits, _ or -`);
+        }
+        if (![x, z, yaw].every(Number.isFinite)) {
+            throw new Error(`ARMS entry ${i + 1}: x, z and yaw must be numbers`);
+        }
+        const crowded = list.slice(0, i).find(other => Math.hypot((other.x ?? 0) - x, (other.z ?? 0) - z) < 2 * BASE_SHAPE.radius);
+        if (crowded) {
+            throw new Error(`ARMS entry ${i + 1}: the bases of '${crowded.id}' and '${id}' overlap`);
+        }
+        return { id, x, z, yaw };
+    });
+}
+
+// State files from before ARMS kept the one arm's state at the top level
+if (savedState.jointTargets) {
+    const { jointTargets, magnetOn = false, attachedObject = null } = savedState;
+    savedState.arms[ARM_SPECS[0].id] ??= { jointTargets, magnetOn, attachedObject };
+    delete savedState.jointTargets;
+    delete savedState.magnetOn;
+    delete savedState.attachedObject;
+}
+
+// Base pose for forwardKinematics() from a floor position and yaw in degrees
+function armBasePose({ x = 0, z = 0, yaw = 0 }) {
+    return { position: { x, y: 0, z }, rotation: quatFromAxisAngle(AXES.y, yaw * Math.PI / 180), yaw };
+}
+
+// An arm of a world, keeping its persisted state in worldState.arms
+function createArm({ id, x, z, yaw }, worldState) {
+    worldState.arms[id] ??= { jointTargets: [0, 0, 0, 0, 0, 0], magnetOn: false, attachedObject: null };
+    const state = worldState.arms[id];
+    const base = armBasePose({ x, z, yaw });
+
+    return {
+        id,
+        base,
+        baseShape: { ...BASE_SHAPE, center: { ...BASE_SHAPE.center, x, z } },
+        state,                     // persisted: jointTargets, magnetOn, attachedObject
+        jointAngles: [...state.jointTargets],
+        trajectory: null,          // { points: [{ t, angles }], startTime } while following a planned path
+        endEffector: forwardKinematics(state.jointTargets, base).endEffector,
+        motionComplete: true,
+        motionCompleteResolve: null,
+        attachmentResolve: null,
+        currentTask: null,         // the motion task being executed (see TASK MANAGER)
+        taskQueue: []
+    };
+}
+
+// The arm a call addresses in the current world; no arm_id means the first arm
+function resolveArm(armId) {
+    const { arms } = currentWorld();
+    if (armId === undefined || armId === null) return arms[0];
+    const arm = arms.find(a => a.id === armId);
+    if (!arm) {
+        throw new TaskError('ARM_NOT_FOUND', `Unknown arm '${armId}'; arms are ${arms.map(a => a.id).join(', ')}`);
+    }
+    return arm;
+}
+
+// The arm holding an object, or null
+function armHolding(objectId) {
+    return currentWorld().arms.find(arm => arm.state.attachedObject === objectId) ?? null;
+}
+
+function isHeld(objectId) {
+    return armHolding(objectId) !== null;
+}
+
+// World point to the arm's own frame (base at the origin, facing +Z) and back
+function toArmFrame(arm, point) {
+    const { position, rotation } = arm.base;
+    return rotateVector(quatConjugate(rotation), { x: point.x - position.x, y: point.y - position.y, z: point.z - position.z });
+}
+
+function fromArmFrame(arm, point) {
+    const { position, rotation } = arm.base;
+    const rotated = rotateVector(rotation, point);
+    return { x: rotated.x + position.x, y: rotated.y + position.y, z: rotated.z + position.z };
+}
+
+// A parsed orientation (see parseOrientation) in the arm's own frame
+function orientationToArmFrame(arm, orientation) {
+    const inverse = quatConjugate(arm.base.rotation);
+    return orientation.direction
+        ? { direction: rotateVector(inverse, orientation.direction) }
+        : { quaternion: quatMultiply(inverse, orientation.quaternion) };
+}
+
+// Joint angles of an arm at a moment (epoch ms), following its active trajectory
+function armAnglesAt(arm, time) {
+    if (!arm.trajectory) return arm.jointAngles;
+    return trajectoryAnglesAt(arm.trajectory.points, time - arm.trajectory.startTime);
+}
+
+// Base pose and reach envelope, as listed by get_environment_info
+function describeArm(arm) {
+    const { x, z } = arm.base.position;
+    return {
+        id: arm.id,
+        base: { x, z, yaw: arm.base.yaw },
+        reach_envelope: {
+            center: { x, z },
+            radius: ARM_CONFIG.reachRadius,
+            min_height: ARM_CONFIG.minHeight,
+            max_height: ARM_CONFIG.maxHeight
+        },
+        magnet_on: arm.state.magnetOn,
+        holding_object: arm.state.attachedObject
+    };
+}
+
+// Live state of an arm from the simulation, as returned by get_arm_state
+function getArmState(arm) {
+    const fk = forwardKinematics(arm.jointAngles, arm.base);
+    const { currentTask } = arm;
+    return {
+        arm_id: arm.id,
+        joint_angles: arm.jointAngles.map(a => Math.round(a * 100) / 100),
+        target_angles: arm.state.jointTargets.map(a => Math.round(a * 100) / 100),
+        is_moving: !arm.motionComplete,
+        end_effector: {
+            position: roundVector(fk.endEffector),
+            orientation: roundVector(fk.orientation),
+            rpy: roundVector(quatToEuler(fk.orientation), 2),
+            tool_direction: roundVector(fk.toolDirection)
+        },
+        magnet_on: arm.state.magnetOn,
+        holding_object: arm.state.attachedObject,
+        current_task: currentTask ? { task_id: currentTask.id, tool: currentTask.tool, step: currentTask.step } : null,
+        queued_tasks: arm.taskQueue.length
+    };
+}
+
+// ============================================================================
+// WORLDS
+// ============================================================================
+
+// A world is one simulated workcell: its arms, objects, taught poses,
+// programs and cameras, task queues, recorder and the browsers watching it.
+// Everyone shares the 'default' world, the one saved in state.json. A
+// sandbox world is private to the MCP sessions that opened it, so parallel
+// agent runs can't disturb each other:
+//  - WORLD_MODE=session gives every MCP session a sandbox of its own
+//  - a session opened with a world id (X-World-Id header or ?world=) joins
+//    that world, creating it first if needed, in either mode
+// A sandbox starts from a named scene (X-World-Scene or ?scene=, default
+// SANDBOX_SCENE) with copies of the default world's poses, programs and
+// cameras. It is never saved and is closed when its last session ends.
+//
+// The world a call acts on travels in its requestContext next to the log
+// fields, so its tasks, simulation ticks and browser events stay in it.
+const DEFAULT_WORLD_ID = 'default';
+const WORLD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const WORLD_MODES = ['shared', 'session'];
+const WORLD_MODE = process.env.WORLD_MODE || 'shared';
+const SANDBOX_SCENE = process.env.SANDBOX_SCENE || 'default';
+const MAX_WORLDS = Number(process.env.MAX_WORLDS) || 32;
+const WORLD = Symbol('world'); // requestContext key; symbols stay out of log lines
+
+if (!WORLD_MODES.includes(WORLD_MODE)) {
+    throw new Error(`WORLD_MODE must be one of ${WORLD_MODES.join(', ')}`);
+}
+
+const worlds = new Map(); // id -> world, the default world first
+
+function createWorld(id, state, scene = null) {
+    const world = {
+        id,
+        state,                     // persisted shape: arms, objects, poses, programs, cameras
+        scene,                     // the scene a sandbox started from
+        arms: [],
+        sim: {                     // object physics (see SIMULATION); joint motion lives on each arm
+            fallSpeeds: new Map(), // objectId -> downward velocity (m/s) while falling
+            dirty: true,
+            lastTick: Date.now(),
+            lastBroadcast: 0
+        },
+        tasks: new Map(),          // id -> task, in submission order (see TASK MANAGER)
+        scenario: null,            // the current scenario run (see SCENARIOS)
+        faults: null,              // fault profile and injected faults (see FAULT INJECTION)
+        recorder: null,            // { name, stream, startedAt, events } while recording
+        replay: null,              // { name, speed, timer, startedAt, duration } while replaying
+        sessions: new Set(),       // ids of the MCP sessions in this world
+        owner: null,               // id of the API key that opened a sandbox (see mayUseWorld)
+        createdAt: Date.now()
+    };
+    world.context = { [WORLD]: world, world_id: id === DEFAULT_WORLD_ID ? undefined : id };
+    world.arms = ARM_SPECS.map(spec => createArm(spec, state));
+    worlds.set(id, world);
+    return world;
+}
+
+const defaultWorld = createWorld(DEFAULT_WORLD_ID, savedState);
+
+// The world the current request, task or simulation tick acts on
+function currentWorld() {
+    return requestContext.getStore()?.[WORLD] ?? defaultWorld;
+}
+
+// Runs fn in a world, keeping the rest of the log context
+function inWorld(world, fn) {
+    return withLogContext(world.context, fn);
+}
+
+// A sandbox is for the key that opened it. Admin keys and the browser UI's
+// reporter key, which shows and screenshots every world, may use any.
+function mayUseWorld(principal, world) {
+    return world === defaultWorld || world.owner === null || principal.id === world.owner ||
+        principal.reporter || hasScope(principal, 'admin');
+}
+
+/**
+ * Opens a sandbox world loaded from a saved scene, with an optional fault
+ * profile ({ profile, seed }, see FAULT INJECTION), owned by the given API
+ * key id. Throws INVALID_WORLD_ID, WORLD_EXISTS, TOO_MANY_WORLDS, the
+ * scene's SCENE_NOT_FOUND / INVALID_SCENE, or INVALID_FAULT_PROFILE.
+ */
+function openWorld(id, sceneName = SANDBOX_SCENE, faults = null, owner = null) {
+    if (typeof id !== 'string' || !WORLD_ID_PATTERN.test(id)) {
+        throw new TaskError('INVALID_WORLD_ID', 'World id must be 1-64 letters, digits, _ or -');
+    }
+    if (worlds.has(id)) {
+        throw new TaskError('WORLD_EXISTS', `World '${id}' already exists`);
+    }
+    if (worlds.size >= MAX_WORLDS) {
+        throw new TaskError('TOO_MANY_WORLDS', `${MAX_WORLDS} worlds are already open; end a session first`);
+    }
+
+    const { poses, programs, cameras } = structuredClone(defaultWorld.state);
+    const world = createWorld(id, { arms: {}, objects: [], poses, programs, cameras }, sceneName);
+    world.owner = owner;
+    try {
+        inWorld(world, () => {
+            loadScene(sceneName);
+            if (faults) setFaultProfile(faults);
+        });
+    } catch (error) {
+        worlds.delete(id);
+        throw error;
+    }
+    log('info', 'World opened', { world_id: id, scene: sceneName, faults: world.faults?.profile });
+    broadcastWorlds();
+    return world;
+}
+
+// Ends a sandbox: stops its arms and recorder and sends its browsers back to the default world
+function closeWorld(world) {
+    inWorld(world, () => {
+        stopAllTasks('World closed');
+        if (world.recorder) stopRecording();
+        if (world.replay) clearTimeout(world.replay.timer);
+        sendToUi({ type: 'world_closed', world_id: world.id });
+    });
+    uiClients.forEach(client => {
+        if (client.locals.world !== world) return;
+        uiClients.delete(client);
+        client.end();
+    });
+    worlds.delete(world.id);
+    log('info', 'World closed', { world_id: world.id });
+    broadcastWorlds();
+}
+
+/**
+ * Puts an MCP session in a world: the one named by worldId (opened from
+ * sceneName with the faults profile if it doesn't exist), a new sandbox in
+ * session mode, or the default world, which takes no fault profile this
+ * way. Throws like openWorld, WORLD_FORBIDDEN when an existing sandbox
+ * belongs to another key (see mayUseWorld), and FAULT_PROFILE_CONFLICT when
+ * it runs another profile or seed than the one asked for.
+ */
+function joinWorld(session, worldId, sceneName, faults = null) {
+    let world = defaultWorld;
+    if (worldId !== undefined && worldId !== DEFAULT_WORLD_ID) {
+        world = worlds.get(worldId);
+        if (!world) {
+            world = openWorld(worldId, sceneName, faults, session.principal.id);
+        } else if (!mayUseWorld(session.principal, world)) {
+            throw new TaskError('WORLD_FORBIDDEN', `World '${worldId}' belongs to another API key`);
+        } else if (faults) {
+            const profile = world.faults?.profile ?? 'none';
+            if (faults.profile !== profile || (faults.seed !== undefined && faults.seed !== world.faults?.seed)) {
+                throw new TaskError('FAULT_PROFILE_CONFLICT',
+                    `World '${worldId}' already runs fault profile '${profile}'${world.faults ? ` with seed ${world.faults.seed}` : ''}`);
+            }
+        }
+    } else if (worldId === undefined && WORLD_MODE === 'session') {
+        world = openWorld(session.id, sceneName, faults, session.principal.id);
+    } else if (faults) {
+        throw new TaskError('INVALID_FAULT_PROFILE', 'A fault profile needs a sandbox world (X-World-Id); set_fault_profile changes the shared one');
+    }
+    session.world = world;
+    world.sessions.add(session.id);
+}
+
+// Takes a closing session out of its world; a sandbox closes with its last session
+function leaveWorld(session) {
+    const { world } = session;
+    if (!world || !world.sessions.delete(session.id)) return;
+    if (world !== defaultWorld && world.sessions.size === 0) {
+        closeWorld(world);
+    }
+}
+
+// As listed by /health
+function describeWorld(world) {
+    return {
+        id: world.id,
+        scene: world.scene,
+        sessions: world.sessions.size,
+        ui_clients: [...uiClients].filter(client => client.locals.world === world).length,
+        faults: world.faults?.profile ?? 'none',
+        created_at: new Date(world.createdAt).toISOString()
+    };
+}
+
+// ============================================================================
+// FAULT INJECTION
+// ============================================================================
+
+// A fault profile makes a world misbehave the way real hardware does, to see
+// how agents notice and recover. Each setting is off at 0:
+const FAULT_SETTINGS = {
+    position_noise: [0, 0.1],      // m, standard deviation of the noise on positions discover_objects reports
+    joint_tracking_error: [0, 5],  // degrees, standard deviation of where each joint settles at the end of a move
+    backlash: [0, 5],              // degrees a joint stops short of its target after reversing direction
+    magnet_drop_rate: [0, 1],      // drops of the held object per second of carrying it (the magnet cuts out)
+    motion_timeout_rate: [0, 1],   // chance that waiting for a move times out partway (MOTION_TIMEOUT)
+    disconnect_rate: [0, 1]        // chance that a motion task drops the world's browser connections partway
+};
+const FAULT_PROFILES = {
+    none: {},
+    noisy: { position_noise: 0.005, joint_tracking_error: 0.3 },
+    sloppy: { joint_tracking_error: 0.5, backlash: 1 },
+    unreliable: { magnet_drop_rate: 0.1, motion_timeout_rate: 0.1, disconnect_rate: 0.2 },
+    harsh: { position_noise: 0.01, joint_tracking_error: 0.5, backlash: 1, magnet_drop_rate: 0.1, motion_timeout_rate: 0.1, disconnect_rate: 0.3 }
+};
+const FAULT_LOG_SIZE = 500; // injected faults kept per world for get_fault_profile and /api/faults
+
+// Faults are drawn from the world's seeded generator when the event they
+// disturb happens (a reading, a move, a grasp, a task), so the same calls
+// against the same seed meet the same faults. Every fault is logged,
+// recorded, counted in robo_faults_injected_total and kept in the world's log.
+
+/**
+ * Sets the current world's fault profile: a named profile, custom settings
+ * overriding it, and a seed (random when left out). With every setting at 0,
+ * as in 'none', faults are off. Throws INVALID_FAULT_PROFILE.
+ */
+function setFaultProfile({ profile, faults = {}, seed } = {}) {
+    const invalid = message => new TaskError('INVALID_FAULT_PROFILE', message);
+    if (profile !== undefined && !Object.hasOwn(FAULT_PROFILES, profile)) {
+        throw invalid(`profile must be one of ${Object.keys(FAULT_PROFILES).join(', ')}`);
+    }
+    const settings = { ...FAULT_PROFILES[profile ?? 'none'], ...faults };
+    for (const [name, value] of Object.entries(settings)) {
+        const range = FAULT_SETTINGS[name];
+        if (!range) throw invalid(`Unknown fault '${name}' (expected ${Object.keys(FAULT_SETTINGS).join(', ')})`);
+        if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+            throw invalid(`${name} must be between ${range[0]} and ${range[1]}`);
+        }
+    }
+    if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) {
+        throw invalid('seed must be an integer from 0 to 2^32 - 1');
+    }
+
+    const world = currentWorld();
+    if (!Object.values(settings).some(value => value > 0)) {
+        world.faults = null;
+        log('info', 'Fault injection off');
+        return null;
+    }
+    const name = profile === undefined ? 'custom' : Object.keys(faults).length > 0 ? `${profile}+custom` : profile;
+    const actualSeed = seed ?? Math.floor(Math.random() * 2 ** 32);
+    world.faults = {
+        profile: name,
+        settings,
+        seed: actualSeed,
+        random: createRng(actualSeed),
+        carryLeft: new Map(),       // armId -> seconds of carrying until the magnet cuts out
+        jointDirections: new Map(), // armId -> direction each joint last moved in (-1, 0, 1), for backlash
+        injected: [],               // the last FAULT_LOG_SIZE faults
+        count: 0,
+        counts: {},                 // fault -> number injected
+        setAt: Date.now()
+    };
+    log('info', 'Fault profile set', { profile: name, faults: settings, seed: actualSeed });
+    record('fault_profile', { profile: name, faults: settings, seed: actualSeed });
+    return world.faults;
+}
+
+// A setting of the current world's profile; 0 when faults are off
+function faultSetting(name) {
+    return currentWorld().faults?.settings[name] ?? 0;
+}
+
+function faultRandom() {
+    return currentWorld().faults.random();
+}
+
+// Standard normal sample (Box-Muller) from the world's fault generator
+function faultGaussian() {
+    const u = 1 - faultRandom();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * faultRandom());
+}
+
+function injectFault(fault, details = {}) {
+    const world = currentWorld();
+    const event = { fault, time: new Date().toISOString(), ...details };
+    world.faults.count++;
+    world.faults.counts[fault] = (world.faults.counts[fault] ?? 0) + 1;
+    world.faults.injected.push(event);
+    if (world.faults.injected.length > FAULT_LOG_SIZE) world.faults.injected.shift();
+    if (world.scenario && world.scenario.endedAt === null) world.scenario.faultsInjected++;
+    incMetric('robo_faults_injected_total', { fault });
+    log('warn', 'Fault injected', { fault, ...details });
+    record('fault', { fault, ...details });
+}
+
+// discover_objects' view of the objects: each reading is off by fresh noise under position_noise
+function sensedObjects() {
+    const objects = currentWorld().state.objects.map(describeObject);
+    const sigma = faultSetting('position_noise');
+    if (!sigma) return objects;
+
+    const offsets = {};
+    const sensed = objects.map(obj => {
+        const noise = { x: faultGaussian() * sigma, y: faultGaussian() * sigma, z: faultGaussian() * sigma };
+        offsets[obj.id] = Math.round(Math.hypot(noise.x, noise.y, noise.z) * 10000) / 10000;
+        const { x, y, z } = obj.position;
+        return { ...obj, position: { x: x + noise.x, y: y + noise.y, z: z + noise.z } };
+    });
+    injectFault('position_noise', { offsets_m: offsets });
+    return sensed;
+}
+
+// Where the joints come to rest at the end of a move from `from` to `to`:
+// off the planned angles under joint_tracking_error and backlash
+function settleJoints(arm, from, to) {
+    const sigma = faultSetting('joint_tracking_error');
+    const backlash = faultSetting('backlash');
+    if (!sigma && !backlash) return to;
+
+    const { jointDirections } = currentWorld().faults;
+    const directions = jointDirections.get(arm.id) ?? [0, 0, 0, 0, 0, 0];
+    const settled = to.map((angle, i) => {
+        const direction = Math.sign(angle - from[i]);
+        let error = sigma ? faultGaussian() * sigma : 0;
+        if (direction !== 0) {
+            if (directions[i] === -direction) error -= direction * backlash;
+            directions[i] = direction;
+        }
+        const [min, max] = jointLimits[i];
+        return Math.min(max, Math.max(min, angle + error));
+    });
+    jointDirections.set(arm.id, directions);
+    injectFault('joint_error', { arm_id: arm.id, errors_deg: settled.map((angle, i) => Math.round((angle - to[i]) * 100) / 100) });
+    return settled;
+}
+
+// Whether the magnet cuts out this tick while the arm carries something under magnet_drop_rate
+function magnetDropDue(arm, dt) {
+    const rate = faultSetting('magnet_drop_rate');
+    if (!rate || !arm.trajectory) return false;
+
+    const { carryLeft } = currentWorld().faults;
+    if (!carryLeft.has(arm.id)) carryLeft.set(arm.id, -Math.log(1 - faultRandom()) / rate);
+    const left = carryLeft.get(arm.id) - dt;
+    if (left > 0) {
+        carryLeft.set(arm.id, left);
+        return false;
+    }
+    carryLeft.delete(arm.id);
+    injectFault('magnet_drop', { arm_id: arm.id, object_id: arm.state.attachedObject });
+    return true;
+}
+
+// How long followTrajectory waits for a move of `duration` ms; under
+// motion_timeout_rate it sometimes gives up partway
+function motionWaitTimeout(arm, duration) {
+    const rate = faultSetting('motion_timeout_rate');
+    if (!rate || faultRandom() >= rate) return duration + 5000;
+
+    const timeout = Math.round(duration * (0.2 + 0.6 * faultRandom()));
+    injectFault('motion_timeout', { arm_id: arm.id, timeout_ms: timeout, motion_ms: Math.round(duration) });
+    return timeout;
+}
+
+// Under disconnect_rate, drops the world's browsers partway through a task; they reconnect by themselves
+function scheduleDisconnectFault(task) {
+    const rate = faultSetting('disconnect_rate');
+    if (!rate || faultRandom() >= rate) return;
+
+    const world = currentWorld();
+    const delay = Math.round(200 + faultRandom() * 1800);
+    setTimeout(() => requestContext.run(task.context, () => {
+        if (task.finishedAt !== null || world.faults === null) return;
+        const dropped = [...uiClients].filter(client => client.locals.world === world);
+        dropped.forEach(client => {
+            uiClients.delete(client);
+            client.end();
+        });
+        injectFault('browser_disconnect', { task_id: task.id, browsers: dropped.length });
+    }), delay);
+}
+
+// As get_fault_profile and GET /api/faults report it; `recent` limits the log
+function describeFaults(recent = FAULT_LOG_SIZE) {
+    const { faults } = currentWorld();
+    if (!faults) return { profile: 'none', faults: null, seed: null, injected_count: 0, injected_by_fault: {}, injected: [], profiles: Object.keys(FAULT_PROFILES) };
+
+    return {
+        profile: faults.profile,
+        faults: faults.settings,
+        seed: faults.seed,
+        set_at: new Date(faults.setAt).toISOString(),
+        injected_count: faults.count,
+        injected_by_fault: { ...faults.counts },
+        injected: faults.injected.slice(-recent),
+        profiles: Object.keys(FAULT_PROFILES)
+    };
+}
+
+// ============================================================================
+// TASK EXECUTION STATE
+// ============================================================================
+
+// Task failure with a stable error_code (and optional details) for the tool result
+class TaskError extends Error {
+    constructor(code, message, details = null) {
+        super(message || code);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function taskFailure(error, startTime) {
+    return {
+        success: false,
+        message: error.message,
+        error_code: error.code || error.message,
+        ...(error.details && { details: error.details }),
+        duration_ms: Date.now() - startTime
+    };
+}
+
+// Runs an immediate (non-motion) tool action returning { message, ...fields }
+// and wraps it in the same result shape as the task tools
+function syncToolResult(action) {
+    const startTime = Date.now();
+    try {
+        const { message, ...fields } = action();
+        return {
+            success: true,
+            message,
+            error_code: null,
+            ...fields,
+            duration_ms: Date.now() - startTime
+        };
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitForMotionComplete(arm, timeoutMs = 10000) {
+    if (arm.motionComplete) return true;
+
+    return new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+            arm.motionCompleteResolve = null;
+            incMetric('robo_motion_wait_timeouts_total', { arm: arm.id });
+            log('warn', 'Motion did not complete in time', { timeout_ms: timeoutMs });
+            resolve(false);
+        }, timeoutMs);
+
+        arm.motionCompleteResolve = () => {
+            clearTimeout(timeout);
+            arm.motionCompleteResolve = null;
+            resolve(true);
+        };
+    });
+}
+
+async function waitForAttachment(arm, objectId, timeoutMs = 3000) {
+    if (arm.state.attachedObject === objectId) return true;
+
+    return new Promise((resolve) => {
+        const fail = reason => {
+            incMetric('robo_attachment_failures_total', { arm: arm.id });
+            log('warn', 'Object not attached', { object_id: objectId, reason });
+            resolve(false);
+        };
+        const timeout = setTimeout(() => {
+            arm.attachmentResolve = null;
+            fail('timeout');
+        }, timeoutMs);
+
+        arm.attachmentResolve = (attachedId) => {
+            clearTimeout(timeout);
+            arm.attachmentResolve = null;
+            if (attachedId === objectId) {
+                resolve(true);
+            } else {
+                fail(attachedId ? `attached '${attachedId}' instead` : 'interrupted');
+            }
+        };
+    });
+}
+
+// Stops the arm where it is and wakes anything waiting on the motion or the magnet
+function haltMotion(arm) {
+    if (!arm.motionComplete) record('motion', { arm_id: arm.id, status: 'halted', angles: [...arm.jointAngles] });
+    arm.trajectory = null;
+    arm.state.jointTargets = [...arm.jointAngles];
+    arm.motionComplete = true;
+    currentWorld().sim.dirty = true;
+    saveState();
+    broadcastCommand({ type: 'set_pose', arm_id: arm.id, angles: arm.state.jointTargets });
+
+    if (arm.motionCompleteResolve) arm.motionCompleteResolve();
+    if (arm.attachmentResolve) arm.attachmentResolve(null);
+    haltBlockedArms(arm);
+}
+
+// Other arms planned their moves around where this arm was heading; once it
+// stops somewhere else, any of them whose remaining path now runs into it
+// is stopped too (and its task cancelled) rather than driven through it
+function haltBlockedArms(stopped) {
+    for (const arm of currentWorld().arms) {
+        if (arm === stopped || !arm.trajectory) continue;
+        const { points, startTime } = arm.trajectory;
+        const elapsed = Date.now() - startTime;
+        const remaining = points.filter(point => point.t >= elapsed);
+        if (!trajectoryCollision(arm, remaining, { startTime })) continue;
+
+        log('warn', 'Arm path blocked by a halted arm', { arm_id: arm.id, blocked_by: stopped.id });
+        if (arm.currentTask) {
+            cancelTask(arm.currentTask, `Path blocked by arm '${stopped.id}', which stopped unexpectedly`);
+        } else {
+            haltMotion(arm);
+        }
+    }
+}
+
+function throwIfCancelled(arm) {
+    if (arm.currentTask?.cancelled) {
+        throw new TaskError('CANCELLED', arm.currentTask.cancelReason);
+    }
+}
+
+// Marks the start of the next step of the running task: stops here if the
+// task was cancelled, otherwise reports progress to whoever submitted it
+function taskStep(arm, message, total) {
+    throwIfCancelled(arm);
+    if (arm.currentTask) {
+        reportTaskProgress(arm.currentTask, message, total);
+    }
+}
+
+// Hands a timed joint trajectory to the simulation; returns its duration in ms.
+// Throws a COLLISION TaskError, before anything moves, if the path hits something.
+function startTrajectory(arm, trajectory, options = {}) {
+    const startTime = Date.now();
+    checkTrajectory(arm, trajectory.points, { ...options, startTime });
+
+    const finalAngles = trajectory.points[trajectory.points.length - 1].angles;
+    arm.state.jointTargets = [...finalAngles];
+    arm.trajectory = { points: trajectory.points, startTime };
+    arm.motionComplete = false;
+    record('motion', { arm_id: arm.id, status: 'started', target: finalAngles, duration_ms: Math.round(trajectory.duration) });
+    currentWorld().sim.dirty = true;
+    saveState();
+    broadcastCommand({ type: 'set_pose', arm_id: arm.id, angles: finalAngles });
+    return trajectory.duration;
+}
+
+// Synchronized point-to-point joint move from the current angles
+function setJointTargets(arm, angles, speedScale = 1) {
+    return startTrajectory(arm, planJointMove(arm.jointAngles, angles, speedScale));
+}
+
+// Joint-space move to a Cartesian target, routed around obstacles by planCollisionFreeMove.
+// options: { orientation, speedScale, ignore: [objectId], seed } - ignored objects are exempt from collision checks
+async function moveTo(arm, position, options = {}) {
+    const { orientation = 'vertical' } = options;
+    const ik = solveIK(arm, position, orientation);
+    if (!ik.reachable) {
+        const target = `(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`;
+        throw new TaskError('OUT_OF_REACH',
+            `Cannot reach ${target}: closest pose is off by ${ik.positionError.toFixed(3)} m and ${ik.orientationError.toFixed(1)}°`);
+    }
+
+    log('debug', 'Moving to position', { target: position, ik_solutions: ik.solutions.length });
+    await followTrajectory(arm, await planCollisionFreeMove(arm, arm.jointAngles, ik.solutions, options), options);
+}
+
+// Plays a timed joint trajectory and waits for it to finish
+async function followTrajectory(arm, trajectory, options = {}) {
+    throwIfCancelled(arm);
+    const duration = startTrajectory(arm, trajectory, options);
+    const timeout = motionWaitTimeout(arm, duration);
+    if (!await waitForMotionComplete(arm, timeout)) {
+        haltMotion(arm);
+        throw new TaskError('MOTION_TIMEOUT', `Motion did not finish within ${timeout} ms; the arm was stopped where it was`);
+    }
+    throwIfCancelled(arm);
+    await sleep(100); // Small delay for stability
+}
+
+async function moveLinear(arm, waypoints, options = {}) {
+    await followTrajectory(arm, planCartesianPath(arm, arm.jointAngles, waypoints, options), options);
+}
+
+function switchMagnet(arm, enabled) {
+    arm.state.magnetOn = enabled;
+    currentWorld().sim.dirty = true;
+    saveState();
+    broadcastCommand({ type: 'set_magnet', arm_id: arm.id, enabled });
+}
+
+async function setMagnet(arm, enabled) {
+    switchMagnet(arm, enabled);
+    await sleep(100);
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+// The server owns joint motion, the magnet and object physics so tasks finish
+// without a browser attached. Connected UIs only mirror the broadcast state.
+const SIM_TICK_MS = 1000 / 60;
+const SIM_BROADCAST_MS = 50;
+const GRAVITY = 9.81;
+
+function objectHalfHeight(obj) {
+    const size = obj.size || 0.05;
+    if (obj.type === 'cylinder') return size * 0.75;
+    if (obj.type === 'sphere') return size;
+    return size / 2;
+}
+
+function objectHalfWidth(obj) {
+    const size = obj.size || 0.05;
+    return obj.type === 'cylinder' || obj.type === 'sphere' ? size : size / 2;
+}
+
+// The surface an object would land on: { height, object } for the top of an
+// object below it, or { height: 0, object: null } for the floor
+function findSupport(obj) {
+    const bottom = obj.position.y - objectHalfHeight(obj);
+    let support = { height: 0, object: null };
+
+    for (const other of currentWorld().state.objects) {
+        if (other === obj || isHeld(other.id)) continue;
+        const reach = objectHalfWidth(other);
+        if (Math.abs(obj.position.x - other.position.x) > reach) continue;
+        if (Math.abs(obj.position.z - other.position.z) > reach) continue;
+
+        const top = other.position.y + objectHalfHeight(other);
+        if (top <= bottom + 0.001 && top > support.height) {
+            support = { height: top, object: other };
+        }
+    }
+
+    return support;
+}
+
+function supportHeight(obj) {
+    return findSupport(obj).height;
+}
+
+// Joint angles a trajectory has reached `elapsed` ms after it started
+function trajectoryAnglesAt(points, elapsed) {
+    const last = points[points.length - 1];
+    if (elapsed >= last.t) return [...last.angles];
+    if (elapsed <= 0) return [...points[0].angles];
+
+    let i = 1;
+    while (points[i].t < elapsed) i++;
+    const prev = points[i - 1];
+    const next = points[i];
+    const u = (elapsed - prev.t) / (next.t - prev.t);
+    return prev.angles.map((angle, j) => angle + (next.angles[j] - angle) * u);
+}
+
+// Samples the arm's active trajectory; returns false once its last point is reached
+function stepTrajectory(arm, now) {
+    const { points, startTime } = arm.trajectory;
+    const elapsed = now - startTime;
+    arm.jointAngles = trajectoryAnglesAt(points, elapsed);
+
+    if (elapsed >= points[points.length - 1].t) {
+        arm.trajectory = null;
+        arm.jointAngles = settleJoints(arm, points[0].angles, arm.jointAngles);
+        return false;
+    }
+    return true;
+}
+
+// All joint motion follows planned trajectories; see planJointMove() and planCartesianPath()
+function stepJoints(arm, now) {
+    const world = currentWorld();
+    if (arm.trajectory && stepTrajectory(arm, now)) {
+        world.sim.dirty = true;
+    } else if (!arm.motionComplete) {
+        world.sim.dirty = true;
+        arm.motionComplete = true;
+        record('motion', { arm_id: arm.id, status: 'completed', angles: [...arm.jointAngles] });
+        if (arm.motionCompleteResolve) {
+            arm.motionCompleteResolve();
+        }
+    }
+}
+
+function attachObject(arm, obj) {
+    log('info', 'Object attached', { object_id: obj.id });
+    record('attachment', { arm_id: arm.id, object_id: obj.id, attached: true });
+    arm.state.attachedObject = obj.id;
+    currentWorld().sim.fallSpeeds.delete(obj.id);
+    saveState();
+
+    if (arm.attachmentResolve) {
+        arm.attachmentResolve(obj.id);
+    }
+}
+
+function releaseObject(arm) {
+    const objectId = arm.state.attachedObject;
+    log('info', 'Object released', { object_id: objectId });
+    record('attachment', { arm_id: arm.id, object_id: objectId, attached: false });
+    arm.state.attachedObject = null;
+    currentWorld().sim.fallSpeeds.set(objectId, 0);
+    saveState();
+}
+
+// Returns the id of an object being pulled toward the arm's magnet (exempt from gravity this tick).
+// Objects held by another magnet stay put; one released next to this magnet is caught, which
+// is how a handover works.
+function stepMagnet(arm, dt) {
+    const world = currentWorld();
+    const magnet = arm.endEffector;
+    const { magnetRadius, magnetAttachDistance, magnetPullSpeed, heldObjectOffset } = ARM_CONFIG;
+
+    if (!arm.state.magnetOn) {
+        if (arm.state.attachedObject) {
+            releaseObject(arm);
+        }
+        return null;
+    }
+
+    if (arm.state.attachedObject && magnetDropDue(arm, dt)) {
+        switchMagnet(arm, false);
+        releaseObject(arm);
+        return null;
+    }
+
+    if (arm.state.attachedObject) {
+        const held = world.state.objects.find(o => o.id === arm.state.attachedObject);
+        if (held) {
+            held.position = {
+                x: magnet.x,
+                y: Math.max(magnet.y - heldObjectOffset, objectHalfHeight(held) + 0.01),
+                z: magnet.z
+            };
+        }
+        return null;
+    }
+
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const obj of world.state.objects) {
+        if (obj.magnetic === false || isHeld(obj.id)) continue;
+        const dist = Math.hypot(magnet.x - obj.position.x, magnet.y - obj.position.y, magnet.z - obj.position.z);
+        if (dist < nearestDist) {
+            nearest = obj;
+            nearestDist = dist;
+        }
+    }
+
+    if (!nearest || nearestDist >= magnetRadius) return null;
+
+    if (nearestDist < magnetAttachDistance) {
+        attachObject(arm, nearest);
+        return null;
+    }
+
+    // Pull toward the magnet until close enough to snap on
+    const step = Math.min(magnetPullSpeed * dt, nearestDist);
+    const { position } = nearest;
+    nearest.position = {
+        x: position.x + (magnet.x - position.x) / nearestDist * step,
+        y: position.y + (magnet.y - position.y) / nearestDist * step,
+        z: position.z + (magnet.z - position.z) / nearestDist * step
+    };
+    world.sim.fallSpeeds.delete(nearest.id);
+    world.sim.dirty = true;
+    return nearest.id;
+}
+
+function stepGravity(dt, pulledIds) {
+    const world = currentWorld();
+    let landed = false;
+
+    for (const obj of world.state.objects) {
+        if (isHeld(obj.id) || pulledIds.has(obj.id)) continue;
+
+        const rest = supportHeight(obj) + objectHalfHeight(obj);
+        const speed = world.sim.fallSpeeds.get(obj.id);
+        if (speed === undefined && Math.abs(obj.position.y - rest) < 0.0001) continue;
+
+        const newSpeed = (speed || 0) + GRAVITY * dt;
+        const y = obj.position.y - newSpeed * dt;
+        if (y <= rest) {
+            obj.position = { ...obj.position, y: rest };
+            world.sim.fallSpeeds.delete(obj.id);
+            landed = true;
+        } else {
+            obj.position = { ...obj.position, y };
+            world.sim.fallSpeeds.set(obj.id, newSpeed);
+        }
+        world.sim.dirty = true;
+    }
+
+    if (landed) {
+        saveState();
+    }
+}
+
+// Every world steps on the same tick
+function simulationTick() {
+    worlds.forEach(world => requestContext.run(world.context, () => stepWorld(world)));
+}
+
+function stepWorld({ arms, sim, context, scenario }) {
+    const now = Date.now();
+    const dt = Math.min((now - sim.lastTick) / 1000, 0.1);
+    sim.lastTick = now;
+
+    // Each arm is stepped in the log context of the task it is running
+    const pulledIds = new Set();
+    let travelled = 0;
+    for (const arm of arms) {
+        requestContext.run(arm.currentTask?.context ?? context, () => {
+            const previous = arm.endEffector;
+            stepJoints(arm, now);
+            arm.endEffector = forwardKinematics(arm.jointAngles, arm.base).endEffector;
+            travelled += distance(previous, arm.endEffector);
+            const pulledId = stepMagnet(arm, dt);
+            if (pulledId) pulledIds.add(pulledId);
+        });
+    }
+    stepGravity(dt, pulledIds);
+    if (scenario) trackScenario(scenario, travelled, now);
+
+    if (sim.dirty && now - sim.lastBroadcast >= SIM_BROADCAST_MS) {
+        sim.dirty = false;
+        sim.lastBroadcast = now;
+        broadcastState();
+    }
+}
+
+function getSimSnapshot() {
+    const world = currentWorld();
+    return {
+        arms: world.arms.map(arm => ({
+            id: arm.id,
+            jointAngles: [...arm.jointAngles],
+            jointTargets: [...arm.state.jointTargets],
+            magnetOn: arm.state.magnetOn,
+            attachedObject: arm.state.attachedObject
+        })),
+        objects: world.state.objects.map(obj => ({ id: obj.id, position: { ...obj.position } }))
+    };
+}
+
+// ============================================================================
+// SCENE EDITING
+// ============================================================================
+
+const OBJECT_TYPES = ['cube', 'cylinder', 'sphere'];
+const OBJECT_DEFAULTS = { size: 0.05, mass: 0.1, color: 'silver', magnetic: true };
+const OBJECT_SIZE_RANGE = [0.01, 0.15]; // m - edge length for cubes, radius for cylinders and spheres
+const SCENE_BOUNDS = { x: [-0.8, 0.8], z: [-0.8, 0.8], maxY: 0.95 };
+
+// Public description of an object, filling in defaults for objects saved before they existed
+function describeObject(obj) {
+    return {
+        id: obj.id,
+        type: obj.type || 'cube',
+        position: { ...obj.position },
+        size: obj.size ?? OBJECT_DEFAULTS.size,
+        mass: obj.mass ?? OBJECT_DEFAULTS.mass,
+        color: obj.color || OBJECT_DEFAULTS.color,
+        magnetic: obj.magnetic !== false,
+        attached: isHeld(obj.id),
+        held_by: armHolding(obj.id)?.id ?? null
+    };
+}
+
+// Validates and copies type/size/mass/color/magnetic from props onto obj
+function applyObjectProperties(obj, props) {
+    if (props.type !== undefined) {
+        if (!OBJECT_TYPES.includes(props.type)) {
+            throw new TaskError('INVALID_OBJECT', `type must be one of ${OBJECT_TYPES.join(', ')}`);
+        }
+        obj.type = props.type;
+    }
+    if (props.size !== undefined) {
+        const [min, max] = OBJECT_SIZE_RANGE;
+        if (typeof props.size !== 'number' || props.size < min || props.size > max) {
+            throw new TaskError('INVALID_OBJECT', `size must be between ${min} and ${max} m`);
+        }
+        obj.size = props.size;
+    }
+    if (props.mass !== undefined) {
+        if (typeof props.mass !== 'number' || !(props.mass > 0)) {
+            throw new TaskError('INVALID_OBJECT', 'mass must be a positive number (kg)');
+        }
+        obj.mass = props.mass;
+    }
+    if (props.color !== undefined) {
+        if (typeof props.color !== 'string' || !/^(#[0-9a-f]{6}|[a-z]+)$/i.test(props.color)) {
+            throw new TaskError('INVALID_OBJECT', 'color must be a CSS color name or #rrggbb');
+        }
+        obj.color = props.color;
+    }
+    if (props.magnetic !== undefined) {
+        if (typeof props.magnetic !== 'boolean') {
+            throw new TaskError('INVALID_OBJECT', 'magnetic must be true or false');
+        }
+        obj.magnetic = props.magnetic;
+    }
+}
+
+// Throws unless obj fits in the workspace without overlapping other objects or an arm
+function checkObjectPlacement(obj) {
+    const world = currentWorld();
+    const { x, y, z } = obj.position;
+    if (![x, y, z].every(Number.isFinite)) {
+        throw new TaskError('INVALID_POSITION', 'position needs numeric x, y and z');
+    }
+    if (x < SCENE_BOUNDS.x[0] || x > SCENE_BOUNDS.x[1] || z < SCENE_BOUNDS.z[0] || z > SCENE_BOUNDS.z[1] ||
+        y > SCENE_BOUNDS.maxY || y < objectHalfHeight(obj) - COLLISION_TOLERANCE) {
+        throw new TaskError('INVALID_POSITION',
+            `(${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}) is outside the workspace or below the floor`);
+    }
+
+    for (const other of world.state.objects) {
+        if (other.id === obj.id) continue;
+        if (boundsOverlap(obj, obj.position, other, other.position)) {
+            throw new TaskError('OBJECT_OVERLAP', `'${obj.id}' would overlap '${other.id}'`);
+        }
+    }
+
+    const shape = objectShape(obj);
+    for (const arm of world.arms) {
+        const { center, halfHeight, radius } = arm.baseShape;
+        const baseAxis = [{ ...center, y: center.y - halfHeight }, { ...center, y: center.y + halfHeight }];
+        if (segmentShapeDistance(...baseAxis, shape) < radius) {
+            throw new TaskError('OBJECT_OVERLAP', `'${obj.id}' would overlap the base of arm '${arm.id}'`);
+        }
+        for (const capsule of armCapsules(arm, arm.jointAngles).capsules) {
+            if (segmentShapeDistance(capsule.a, capsule.b, shape) < capsule.radius) {
+                throw new TaskError('OBJECT_OVERLAP', `'${obj.id}' would overlap arm '${arm.id}' (${capsule.name})`);
+            }
+        }
+    }
+}
+
+function nextObjectId(type) {
+    for (let n = 1; ; n++) {
+        if (!currentWorld().state.objects.some(o => o.id === `${type}${n}`)) return `${type}${n}`;
+    }
+}
+
+// Persists a scene change and tells browsers to rebuild their bodies
+function commitSceneChange() {
+    currentWorld().sim.dirty = true;
+    saveState();
+    broadcastScene();
+}
+
+/**
+ * Adds an object to the scene. Only type is required. Without a position it
+ * is placed on the floor in front of the arm (x 0, z 0.4); without y it rests
+ * on the floor, and an object spawned in the air falls under gravity.
+ */
+function spawnObject(spec = {}) {
+    const world = currentWorld();
+    const type = spec.type;
+    const id = spec.id ?? nextObjectId(type);
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+        throw new TaskError('INVALID_OBJECT', 'id must be 1-64 letters, digits, _ or -');
+    }
+    if (world.state.objects.some(o => o.id === id)) {
+        throw new TaskError('DUPLICATE_OBJECT_ID', `Object '${id}' already exists`);
+    }
+    if (type === undefined) {
+        throw new TaskError('INVALID_OBJECT', `type is required (${OBJECT_TYPES.join(', ')})`);
+    }
+
+    const obj = { id, ...OBJECT_DEFAULTS };
+    applyObjectProperties(obj, spec);
+    const { x = 0, z = 0.4 } = spec.position || {};
+    obj.position = { x, y: spec.position?.y ?? objectHalfHeight(obj), z };
+    checkObjectPlacement(obj);
+
+    world.state.objects.push(obj);
+    world.sim.fallSpeeds.set(obj.id, 0);
+    commitSceneChange();
+    return obj;
+}
+
+function removeObject(id) {
+    const world = currentWorld();
+    const index = world.state.objects.findIndex(o => o.id === id);
+    if (index === -1) {
+        throw new TaskError('OBJECT_NOT_FOUND', `Object '${id}' not found`);
+    }
+    const holder = armHolding(id);
+    if (holder) {
+        holder.state.attachedObject = null;
+    }
+    world.sim.fallSpeeds.delete(id);
+    world.state.objects.splice(index, 1);
+    commitSceneChange();
+}
+
+// Changes any of position/type/size/mass/color/magnetic. A held object can't be moved.
+function updateObject(id, changes = {}) {
+    const world = currentWorld();
+    const obj = world.state.objects.find(o => o.id === id);
+    if (!obj) {
+        throw new TaskError('OBJECT_NOT_FOUND', `Object '${id}' not found`);
+    }
+    const holder = armHolding(id);
+    const held = holder !== null;
+    if (held && changes.position) {
+        throw new TaskError('OBJECT_HELD', `Object '${id}' is held by the magnet of arm '${holder.id}'; place it first`);
+    }
+
+    const updated = { ...obj, position: { ...obj.position, ...changes.position } };
+    applyObjectProperties(updated, changes);
+    if (!held) {
+        checkObjectPlacement(updated);
+    }
+
+    Object.assign(obj, updated);
+    if (!held) {
+        world.sim.fallSpeeds.set(id, 0);
+    }
+    if (held && obj.magnetic === false) {
+        releaseObject(holder);
+    }
+    commitSceneChange();
+    return obj;
+}
+
+// ============================================================================
+// SCENE PRESETS
+// ============================================================================
+
+// Named scenes are stored next to state.json as scenes/<name>.json
+const SCENES_DIR = join(__dirname, 'scenes');
+const SCENE_FORMAT = 'robo-demo-scene';
+const SCENE_FORMAT_VERSION = 2; // version 1 files had a single 'arm' and still load
+const SCENE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function sceneFile(name) {
+    if (typeof name !== 'string' || !SCENE_NAME_PATTERN.test(name)) {
+        throw new TaskError('INVALID_SCENE_NAME', 'Scene name must be 1-64 letters, digits, _ or -');
+    }
+    return join(SCENES_DIR, `${name}.json`);
+}
+
+// Current arms and objects in the scene file format
+function serializeScene(name, description = '') {
+    const world = currentWorld();
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_FORMAT_VERSION,
+        name,
+        description,
+        saved_at: new Date().toISOString(),
+        arms: world.arms.map(arm => ({
+            id: arm.id,
+            joint_angles: arm.jointAngles.map(a => Math.round(a * 1000) / 1000),
+            magnet_on: arm.state.magnetOn,
+            held_object: arm.state.attachedObject
+        })),
+        objects: world.state.objects.map(obj => {
+            const { attached, held_by, ...rest } = describeObject(obj);
+            return rest;
+        })
+    };
+}
+
+/**
+ * Validates a scene document and returns it normalized: object defaults
+ * filled in and every field checked the same way as spawn_object.
+ * A version 1 scene's single arm is taken as the first configured arm.
+ * Throws INVALID_SCENE naming the first problem.
+ */
+function parseScene(data) {
+    const invalid = message => new TaskError('INVALID_SCENE', message);
+    if (!data || typeof data !== 'object') throw invalid('Scene must be a JSON object');
+    if (data.format !== SCENE_FORMAT) throw invalid(`format must be '${SCENE_FORMAT}'`);
+    if (data.version !== 1 && data.version !== SCENE_FORMAT_VERSION) {
+        throw invalid(`Unsupported scene version ${data.version} (expected ${SCENE_FORMAT_VERSION})`);
+    }
+
+    const armSpecs = data.version === 1 ? [{ ...data.arm, id: ARM_SPECS[0].id }] : data.arms ?? [];
+    if (!Array.isArray(armSpecs)) throw invalid('arms must be an array');
+
+    if (!Array.isArray(data.objects)) throw invalid('objects must be an array');
+    const ids = new Set();
+    const objects = data.objects.map((spec, i) => {
+        const where = `objects[${i}]`;
+        if (typeof spec?.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(spec.id)) throw invalid(`${where}.id is missing or invalid`);
+        if (ids.has(spec.id)) throw invalid(`Duplicate object id '${spec.id}'`);
+        ids.add(spec.id);
+        if (spec.type === undefined) throw invalid(`${where}.type is required`);
+
+        const obj = { id: spec.id, ...OBJECT_DEFAULTS };
+        try {
+            applyObjectProperties(obj, spec);
+        } catch (error) {
+            throw invalid(`${where}: ${error.message}`);
+        }
+        const { x, y, z } = spec.position || {};
+        if (![x, y, z].every(Number.isFinite)) throw invalid(`${where}.position needs numeric x, y and z`);
+        obj.position = { x, y, z };
+        return obj;
+    });
+
+    const held = new Set();
+    const sceneArms = armSpecs.map((spec, i) => {
+        const where = `arms[${i}]`;
+        if (!ARM_SPECS.some(arm => arm.id === spec?.id)) {
+            throw invalid(`${where}.id must be one of the configured arms (${ARM_SPECS.map(arm => arm.id).join(', ')})`);
+        }
+        if (armSpecs.slice(0, i).some(other => other.id === spec.id)) throw invalid(`Arm '${spec.id}' is listed twice`);
+
+        const jointAngles = spec.joint_angles ?? [0, 0, 0, 0, 0, 0];
+        if (!Array.isArray(jointAngles) || jointAngles.length !== 6 ||
+            !jointAngles.every((a, j) => Number.isFinite(a) && a >= jointLimits[j][0] && a <= jointLimits[j][1])) {
+            throw invalid(`${where}.joint_angles must be 6 angles within the joint limits`);
+        }
+
+        const heldId = spec.held_object ?? null;
+        const magnetOn = spec.magnet_on === true;
+        if (heldId !== null) {
+            const obj = objects.find(o => o.id === heldId);
+            if (!obj || !magnetOn || !obj.magnetic) {
+                throw invalid(`${where}.held_object must be a magnetic object in the scene, with magnet_on true`);
+            }
+            if (held.has(heldId)) throw invalid(`'${heldId}' is held by two arms`);
+            held.add(heldId);
+        }
+        return { id: spec.id, jointAngles: [...jointAngles], magnetOn, heldObject: heldId };
+    });
+
+    return {
+        name: data.name,
+        description: typeof data.description === 'string' ? data.description : '',
+        arms: sceneArms,
+        objects
+    };
+}
+
+function readSceneFile(name) {
+    const file = sceneFile(name);
+    if (!existsSync(file)) {
+        throw new TaskError('SCENE_NOT_FOUND', `Scene '${name}' not found`);
+    }
+    try {
+        return JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new TaskError('INVALID_SCENE', `Scene '${name}' is not valid JSON: ${e.message}`);
+    }
+}
+
+function writeSceneFile(name, document, overwrite) {
+    const file = sceneFile(name);
+    if (existsSync(file) && !overwrite) {
+        throw new TaskError('SCENE_EXISTS', `Scene '${name}' already exists (pass overwrite to replace it)`);
+    }
+    mkdirSync(SCENES_DIR, { recursive: true });
+    writeFileSync(file, JSON.stringify(document, null, 2) + '\n');
+}
+
+function listScenes() {
+    if (!existsSync(SCENES_DIR)) return [];
+    return readdirSync(SCENES_DIR)
+        .filter(file => file.endsWith('.json') && SCENE_NAME_PATTERN.test(file.slice(0, -5)))
+        .sort()
+        .map(file => {
+            const name = file.slice(0, -5);
+            try {
+                const document = readSceneFile(name);
+                const scene = parseScene(document);
+                return { name, description: scene.description, object_count: scene.objects.length, saved_at: document.saved_at ?? null };
+            } catch (error) {
+                return { name, error: error.message };
+            }
+        });
+}
+
+// Stores the current arm and objects under a name
+function saveScene(name, { description = '', overwrite = false } = {}) {
+    const document = serializeScene(name, description);
+    writeSceneFile(name, document, overwrite);
+    return document;
+}
+
+// Stores a scene document from outside (e.g. an exported file) after validating it
+function importScene(name, document, overwrite = false) {
+    parseScene(document);
+    const stored = { ...document, name };
+    writeSceneFile(name, stored, overwrite);
+    return stored;
+}
+
+function deleteScene(name) {
+    const file = sceneFile(name);
+    if (!existsSync(file)) {
+        throw new TaskError('SCENE_NOT_FOUND', `Scene '${name}' not found`);
+    }
+    unlinkSync(file);
+}
+
+/**
+ * Replaces the arm poses, magnet states and every object with a saved scene
+ * and pushes the whole state to browsers so they rebuild their worlds.
+ * Arms the scene doesn't list go home with the magnet off.
+ * Refused while any arm is moving. A scenario passes its inline scene document.
+ */
+function loadScene(name, document = readSceneFile(name)) {
+    const world = currentWorld();
+    const scene = parseScene(document);
+    if (world.arms.some(arm => !arm.motionComplete || arm.currentTask)) {
+        throw new TaskError('ARM_BUSY', 'Cannot load a scene while an arm is moving or a task is running');
+    }
+
+    for (const arm of world.arms) {
+        const spec = scene.arms.find(a => a.id === arm.id) ?? { jointAngles: [0, 0, 0, 0, 0, 0], magnetOn: false, heldObject: null };
+        arm.trajectory = null;
+        arm.jointAngles = [...spec.jointAngles];
+        arm.state.jointTargets = [...spec.jointAngles];
+        arm.state.magnetOn = spec.magnetOn;
+        arm.state.attachedObject = spec.heldObject;
+        arm.endEffector = forwardKinematics(arm.jointAngles, arm.base).endEffector;
+    }
+    world.state.objects = scene.objects;
+
+    // Everything not held settles under gravity from where the file put it
+    world.sim.fallSpeeds.clear();
+    scene.objects.forEach(obj => {
+        if (!isHeld(obj.id)) world.sim.fallSpeeds.set(obj.id, 0);
+    });
+    world.sim.dirty = true;
+    saveState();
+    broadcastSceneLoaded(name);
+    return scene;
+}
+
+// Puts the default objects back and lets go of whatever the magnets held.
+// Refused while any arm is moving, like loadScene.
+function resetScene() {
+    const world = currentWorld();
+    if (world.arms.some(arm => !arm.motionComplete || arm.currentTask)) {
+        throw new TaskError('ARM_BUSY', 'Cannot reset the scene while an arm is moving or a task is running');
+    }
+    world.state.objects = structuredClone(defaultState.objects);
+    world.arms.forEach(arm => { arm.state.attachedObject = null; });
+    world.sim.fallSpeeds.clear();
+    commitSceneChange();
+    return world.state.objects;
+}
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+// A scenario is a benchmark task for an agent: scenarios/<name>.json names
+// the scene to start from (a saved scene or an inline scene document), the
+// goal in words for the agent, goal predicates that decide success, and
+// optional limits:
+//   { "type": "near", "object": "cube1", "point": { "x", "y"?, "z" }, "radius": 0.05 }
+//       the object's centre is within radius of point (horizontally when y is left out)
+//   { "type": "stacked", "object": "cube2", "on": "cube1" }
+//       the object rests directly on top of the other one
+//   { "type": "in_region", "object_type": "cube" | "objects": [ids], "region": { "x": [min, max], "z": [...], "y"?: [...] } }
+//       every matching object's centre is inside the box
+//   "limits": { "time_s": 120, "tool_calls": 40 }
+// Objects that are held or still falling satisfy no predicate.
+//
+// start_scenario loads the scene into the caller's world and starts a run.
+// Until the run ends, dispatchTool counts the world's tool calls, failures
+// and COLLISION errors and stepWorld adds up how far the magnets travel.
+// Past a limit the run ends as failed: arms stop at the time limit, and the
+// call over the tool call limit is refused with SCENARIO_LIMIT_EXCEEDED.
+const SCENARIOS_DIR = join(__dirname, 'scenarios');
+const SCENARIO_FORMAT = 'robo-demo-scenario';
+const SCENARIO_FORMAT_VERSION = 1;
+const SCENARIO_TOOLS = ['list_scenarios', 'start_scenario', 'evaluate_scenario']; // not counted or limited
+const PREDICATE_TYPES = ['near', 'stacked', 'in_region'];
+const RESTING_TOLERANCE = 0.005; // m between an object's bottom and its support
+
+function scenarioFile(name) {
+    if (typeof name !== 'string' || !SCENE_NAME_PATTERN.test(name)) {
+        throw new TaskError('INVALID_SCENARIO_NAME', 'Scenario name must be 1-64 letters, digits, _ or -');
+    }
+    return join(SCENARIOS_DIR, `${name}.json`);
+}
+
+function parseRange(range, where, invalid) {
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] > range[1]) {
+        throw invalid(`${where} must be [min, max] in meters`);
+    }
+    return [...range];
+}
+
+function parsePredicate(spec, where, invalid) {
+    if (!PREDICATE_TYPES.includes(spec?.type)) throw invalid(`${where}.type must be one of ${PREDICATE_TYPES.join(', ')}`);
+    const objectId = key => {
+        if (typeof spec[key] !== 'string' || !spec[key]) throw invalid(`${where}.${key} must be an object id`);
+        return spec[key];
+    };
+
+    switch (spec.type) {
+        case 'near': {
+            const { x, y, z } = spec.point || {};
+            if (![x, z].every(Number.isFinite) || (y !== undefined && !Number.isFinite(y))) {
+                throw invalid(`${where}.point needs numeric x and z (and optionally y)`);
+            }
+            if (!(spec.radius > 0)) throw invalid(`${where}.radius must be a positive number (m)`);
+            return { type: 'near', object: objectId('object'), point: y === undefined ? { x, z } : { x, y, z }, radius: spec.radius };
+        }
+        case 'stacked': {
+            const predicate = { type: 'stacked', object: objectId('object'), on: objectId('on') };
+            if (predicate.object === predicate.on) throw invalid(`${where}: an object can't be stacked on itself`);
+            return predicate;
+        }
+        case 'in_region': {
+            const byType = spec.object_type !== undefined;
+            if (byType === (spec.objects !== undefined)) throw invalid(`${where} needs either object_type or objects`);
+            if (byType && !OBJECT_TYPES.includes(spec.object_type)) {
+                throw invalid(`${where}.object_type must be one of ${OBJECT_TYPES.join(', ')}`);
+            }
+            if (!byType && (!Array.isArray(spec.objects) || spec.objects.length === 0 || !spec.objects.every(id => typeof id === 'string'))) {
+                throw invalid(`${where}.objects must be a non-empty list of object ids`);
+            }
+            const region = {
+                x: parseRange(spec.region?.x, `${where}.region.x`, invalid),
+                z: parseRange(spec.region?.z, `${where}.region.z`, invalid)
+            };
+            if (spec.region.y !== undefined) region.y = parseRange(spec.region.y, `${where}.region.y`, invalid);
+            return { type: 'in_region', ...(byType ? { object_type: spec.object_type } : { objects: [...spec.objects] }), region };
+        }
+    }
+}
+
+/**
+ * Validates a scenario document and returns it normalized. An inline scene
+ * is checked like a scene file. Throws INVALID_SCENARIO naming the first problem.
+ */
+function parseScenario(data) {
+    const invalid = message => new TaskError('INVALID_SCENARIO', message);
+    if (!data || typeof data !== 'object') throw invalid('Scenario must be a JSON object');
+    if (data.format !== SCENARIO_FORMAT) throw invalid(`format must be '${SCENARIO_FORMAT}'`);
+    if (data.version !== SCENARIO_FORMAT_VERSION) {
+        throw invalid(`Unsupported scenario version ${data.version} (expected ${SCENARIO_FORMAT_VERSION})`);
+    }
+
+    if (typeof data.scene === 'string') {
+        if (!SCENE_NAME_PATTERN.test(data.scene)) throw invalid('scene must be a scene name or a scene document');
+    } else {
+        try {
+            parseScene(data.scene);
+        } catch (error) {
+            throw invalid(`scene: ${error.message}`);
+        }
+    }
+    if (typeof data.goal !== 'string' || !data.goal.trim()) throw invalid('goal must describe the task in words');
+    if (!Array.isArray(data.predicates) || data.predicates.length === 0) throw invalid('predicates must be a non-empty array');
+    const predicates = data.predicates.map((spec, i) => parsePredicate(spec, `predicates[${i}]`, invalid));
+
+    const limits = data.limits ?? {};
+    if (typeof limits !== 'object') throw invalid('limits must be an object');
+    if (limits.time_s !== undefined && !(limits.time_s > 0)) throw invalid('limits.time_s must be a positive number of seconds');
+    if (limits.tool_calls !== undefined && !(Number.isInteger(limits.tool_calls) && limits.tool_calls > 0)) {
+        throw invalid('limits.tool_calls must be a positive integer');
+    }
+
+    return {
+        name: data.name,
+        description: typeof data.description === 'string' ? data.description : '',
+        scene: data.scene,
+        goal: data.goal,
+        predicates,
+        limits: { time_s: limits.time_s ?? null, tool_calls: limits.tool_calls ?? null }
+    };
+}
+
+function readScenario(name) {
+    const file = scenarioFile(name);
+    if (!existsSync(file)) {
+        throw new TaskError('SCENARIO_NOT_FOUND', `Scenario '${name}' not found`);
+    }
+    let document;
+    try {
+        document = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new TaskError('INVALID_SCENARIO', `Scenario '${name}' is not valid JSON: ${e.message}`);
+    }
+    return { ...parseScenario(document), name };
+}
+
+function listScenarios() {
+    if (!existsSync(SCENARIOS_DIR)) return [];
+    return readdirSync(SCENARIOS_DIR)
+        .filter(file => file.endsWith('.json') && SCENE_NAME_PATTERN.test(file.slice(0, -5)))
+        .sort()
+        .map(file => {
+            const name = file.slice(0, -5);
+            try {
+                const { description, scene, goal, predicates, limits } = readScenario(name);
+                return { name, description, scene: typeof scene === 'string' ? scene : null, goal, predicate_count: predicates.length, limits };
+            } catch (error) {
+                return { name, error: error.message };
+            }
+        });
+}
+
+/**
+ * Loads a scenario's scene into the current world and starts a run,
+ * replacing any run already there. Throws SCENARIO_NOT_FOUND,
+ * INVALID_SCENARIO, or the scene's errors (ARM_BUSY while an arm moves).
+ */
+function startScenario(name) {
+    const world = currentWorld();
+    const scenario = readScenario(name);
+    if (typeof scenario.scene === 'string') {
+        loadScene(scenario.scene);
+    } else {
+        loadScene(name, scenario.scene);
+    }
+
+    world.scenario = {
+        scenario,
+        startedAt: Date.now(),
+        endedAt: null,
+        endReason: null,  // 'finished', 'time_limit' or 'tool_call_limit'
+        toolCalls: 0,
+        failedCalls: 0,
+        collisions: 0,
+        pathLength: 0,    // m travelled by all magnets together
+        faultsInjected: 0,
+        report: null      // the final report once the run has ended
+    };
+    log('info', 'Scenario started', { scenario: name });
+    return world.scenario;
+}
+
+// Ends a run, keeping the report of the moment it ended
+function endScenario(run, reason) {
+    run.endedAt = Date.now();
+    run.endReason = reason;
+    run.report = scenarioReport(run);
+    log('info', 'Scenario ended', {
+        scenario: run.scenario.name, reason, success: run.report.success, score: run.report.score, tool_calls: run.toolCalls
+    });
+}
+
+// Called by stepWorld on every tick: adds the magnets' travel and ends the run at its time limit
+function trackScenario(run, travelled, now) {
+    if (run.endedAt !== null) return;
+    run.pathLength += travelled;
+    const { time_s: timeLimit } = run.scenario.limits;
+    if (timeLimit !== null && now - run.startedAt >= timeLimit * 1000) {
+        endScenario(run, 'time_limit');
+        stopAllTasks(`Scenario time limit of ${timeLimit} s reached`);
+    }
+}
+
+// Counts a tool call against the running scenario; throws SCENARIO_LIMIT_EXCEEDED once the tool call limit is used up
+function countScenarioCall(name) {
+    const run = currentWorld().scenario;
+    if (!run || run.endedAt !== null || SCENARIO_TOOLS.includes(name)) return null;
+    const { tool_calls: callLimit } = run.scenario.limits;
+    if (callLimit !== null && run.toolCalls >= callLimit) {
+        endScenario(run, 'tool_call_limit');
+        throw new TaskError('SCENARIO_LIMIT_EXCEEDED', `Scenario '${run.scenario.name}' allows ${callLimit} tool calls`);
+    }
+    run.toolCalls++;
+    return run;
+}
+
+// Counts a finished call's failure and COLLISION error against the run it was made in
+function countScenarioResult(run, result) {
+    if (!run || run.endedAt !== null || result.success !== false) return;
+    run.failedCalls++;
+    if (result.error_code === 'COLLISION') run.collisions++;
+}
+
+function inRange(value, [min, max]) {
+    return value >= min && value <= max;
+}
+
+// An object a predicate can be judged on: in the scene, not held and not falling
+function restingObject(id) {
+    const world = currentWorld();
+    const obj = world.state.objects.find(o => o.id === id);
+    if (!obj) return { detail: `'${id}' is not in the scene` };
+    const holder = armHolding(id);
+    if (holder) return { detail: `'${id}' is held by arm '${holder.id}'` };
+    if (world.sim.fallSpeeds.has(id)) return { detail: `'${id}' is still falling` };
+    return { obj };
+}
+
+// { satisfied, detail } for one goal predicate in the current world
+function checkPredicate(predicate) {
+    if (predicate.type === 'in_region') {
+        const { region } = predicate;
+        const ids = predicate.objects ??
+            currentWorld().state.objects.filter(obj => (obj.type || 'cube') === predicate.object_type).map(obj => obj.id);
+        if (ids.length === 0) return { satisfied: false, detail: `There are no ${predicate.object_type} objects in the scene` };
+
+        const misses = ids.map(id => {
+            const { obj, detail } = restingObject(id);
+            if (!obj) return detail;
+            const { x, y, z } = obj.position;
+            const inside = inRange(x, region.x) && inRange(z, region.z) && (!region.y || inRange(y, region.y));
+            return inside ? null : `'${id}' is outside the region`;
+        }).filter(Boolean);
+        return misses.length === 0
+            ? { satisfied: true, detail: `All ${ids.length} objects are in the region` }
+            : { satisfied: false, detail: misses.join('; ') };
+    }
+
+    const { obj, detail } = restingObject(predicate.object);
+    if (!obj) return { satisfied: false, detail };
+
+    if (predicate.type === 'near') {
+        const { point } = predicate;
+        const offset = distance(obj.position, { ...obj.position, ...point });
+        return {
+            satisfied: offset <= predicate.radius,
+            detail: `'${obj.id}' is ${offset.toFixed(3)} m from the point (radius ${predicate.radius} m)`
+        };
+    }
+
+    // stacked
+    const support = findSupport(obj);
+    const resting = Math.abs(obj.position.y - objectHalfHeight(obj) - support.height) <= RESTING_TOLERANCE;
+    const below = !resting ? 'nothing' : support.object ? `'${support.object.id}'` : 'the floor';
+    return { satisfied: resting && support.object?.id === predicate.on, detail: `'${obj.id}' rests on ${below}` };
+}
+
+/**
+ * Scores a run in the task result format: success when every predicate
+ * holds and no limit was exceeded, error_code GOAL_NOT_MET,
+ * TIME_LIMIT_EXCEEDED or TOOL_CALL_LIMIT_EXCEEDED otherwise, and
+ * duration_ms the time since the run started (until it ended). A running
+ * run is scored as things stand; an ended one keeps its final report.
+ */
+function scenarioReport(run) {
+    if (run.report) return run.report;
+
+    const { scenario } = run;
+    const predicates = scenario.predicates.map(predicate => ({ ...predicate, ...checkPredicate(predicate) }));
+    const met = predicates.filter(predicate => predicate.satisfied).length;
+    const limitCode = { time_limit: 'TIME_LIMIT_EXCEEDED', tool_call_limit: 'TOOL_CALL_LIMIT_EXCEEDED' }[run.endReason];
+    const errorCode = limitCode ?? (met === predicates.length ? null : 'GOAL_NOT_MET');
+    const messages = {
+        TIME_LIMIT_EXCEEDED: `Time limit of ${scenario.limits.time_s} s exceeded`,
+        TOOL_CALL_LIMIT_EXCEEDED: `Tool call limit of ${scenario.limits.tool_calls} exceeded`,
+        GOAL_NOT_MET: `${met} of ${predicates.length} goal predicates met`
+    };
+
+    return {
+        success: errorCode === null,
+        message: errorCode ? messages[errorCode] : 'Goal met',
+        error_code: errorCode,
+        scenario: scenario.name,
+        goal: scenario.goal,
+        status: run.endedAt === null ? 'running' : 'ended',
+        score: Math.round(met / predicates.length * 1000) / 1000,
+        predicates,
+        tool_calls: run.toolCalls,
+        failed_calls: run.failedCalls,
+        collisions: run.collisions,
+        path_length_m: Math.round(run.pathLength * 1000) / 1000,
+        faults_injected: run.faultsInjected,
+        limits: scenario.limits,
+        started_at: new Date(run.startedAt).toISOString(),
+        ended_at: run.endedAt === null ? null : new Date(run.endedAt).toISOString(),
+        duration_ms: (run.endedAt ?? Date.now()) - run.startedAt
+    };
+}
+
+// ============================================================================
+// RECORDING AND REPLAY
+// ============================================================================
+
+// A recording is recordings/<name>.jsonl: a 'start' line with the scene, the
+// arm bases and their state, then one line per event, each { t (ms since start), type, ... }:
+//   tool_call / tool_result - every tool call and its result
+//   command                 - broadcastCommand() messages, as { command }
+//   motion                  - an arm's trajectory started, completed or halted
+//   attachment              - an object attached to or released by an arm's magnet
+//   objects                 - object moves reported by the browser
+//   state / scene / scene_loaded - the same snapshots the browser receives
+//   fault_profile / fault   - a fault profile set and each fault it injected (see FAULT INJECTION)
+// Replay sends the recorded snapshots back over /api/events on their
+// original timing, so the browser re-animates exactly what it showed then.
+const RECORDINGS_DIR = join(__dirname, 'recordings');
+const RECORDING_FORMAT = 'robo-demo-recording';
+const RECORDING_VERSION = 2; // version 1 snapshots had one arm's fields at the top level
+const REPLAY_SPEED_RANGE = [0.25, 20];
+const REPLAYED_EVENTS = ['state', 'scene', 'scene_loaded'];
+
+// Each world has its own recorder and replay (see WORLDS); recording names are shared
+function isRecording(name) {
+    return [...worlds.values()].some(world => world.recorder?.name === name);
+}
+
+function recordingFile(name) {
+    if (typeof name !== 'string' || !SCENE_NAME_PATTERN.test(name)) {
+        throw new TaskError('INVALID_RECORDING_NAME', 'Recording names use letters, digits, - and _ (at most 64 characters)');
+    }
+    return join(RECORDINGS_DIR, `${name}.jsonl`);
+}
+
+// Appends an event to the active recording (no-op when not recording)
+function record(type, data = {}) {
+    const world = currentWorld();
+    if (!world.recorder) return;
+    world.recorder.stream.write(JSON.stringify({ t: Date.now() - world.recorder.startedAt, type, ...data }) + '\n');
+    world.recorder.events++;
+}
+
+function startRecording(name = `recording-${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+    const world = currentWorld();
+    if (world.recorder) {
+        throw new TaskError('RECORDING_ACTIVE', `Already recording '${world.recorder.name}'; stop it first`);
+    }
+    const file = recordingFile(name);
+    if (existsSync(file)) {
+        throw new TaskError('RECORDING_EXISTS', `Recording '${name}' already exists`);
+    }
+
+    mkdirSync(RECORDINGS_DIR, { recursive: true });
+    world.recorder = { name, stream: createWriteStream(file), startedAt: Date.now(), events: 0 };
+    record('start', {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        name,
+        started_at: new Date(world.recorder.startedAt).toISOString(),
+        arms: world.arms.map(arm => ({ id: arm.id, ...describeArm(arm).base })),
+        objects: world.state.objects.map(describeObject),
+        state: getSimSnapshot()
+    });
+    return world.recorder;
+}
+
+function stopRecording() {
+    const world = currentWorld();
+    if (!world.recorder) {
+        throw new TaskError('NOT_RECORDING', 'No recording is running');
+    }
+    const { name, stream, startedAt, events } = world.recorder;
+    record('stop');
+    stream.end();
+    world.recorder = null;
+    return { name, events: events + 1, duration_ms: Date.now() - startedAt };
+}
+
+function readRecording(name) {
+    const file = recordingFile(name);
+    if (!existsSync(file)) {
+        throw new TaskError('RECORDING_NOT_FOUND', `Recording '${name}' not found`);
+    }
+    const events = readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    if (events[0]?.type !== 'start' || events[0].format !== RECORDING_FORMAT) {
+        throw new TaskError('INVALID_RECORDING', `'${name}' is not a ${RECORDING_FORMAT} file`);
+    }
+    if (events[0].version > RECORDING_VERSION) {
+        throw new TaskError('INVALID_RECORDING', `Recording version ${events[0].version} is newer than this server supports (${RECORDING_VERSION})`);
+    }
+    return events;
+}
+
+function listRecordings() {
+    if (!existsSync(RECORDINGS_DIR)) return [];
+    return readdirSync(RECORDINGS_DIR)
+        .filter(file => file.endsWith('.jsonl') && SCENE_NAME_PATTERN.test(file.slice(0, -6)))
+        .sort()
+        .map(file => {
+            const name = file.slice(0, -6);
+            const size = statSync(join(RECORDINGS_DIR, file)).size;
+            try {
+                const events = readRecording(name);
+                return {
+                    name,
+                    started_at: events[0].started_at,
+                    duration_ms: events[events.length - 1].t,
+                    events: events.length,
+                    size_bytes: size,
+                    recording: isRecording(name)
+                };
+            } catch (error) {
+                return { name, size_bytes: size, error: error.message };
+            }
+        });
+}
+
+function deleteRecording(name) {
+    const file = recordingFile(name);
+    if (isRecording(name)) {
+        throw new TaskError('RECORDING_ACTIVE', `'${name}' is still recording`);
+    }
+    if (!existsSync(file)) {
+        throw new TaskError('RECORDING_NOT_FOUND', `Recording '${name}' not found`);
+    }
+    unlinkSync(file);
+}
+
+// A recorded state snapshot in the current shape; version 1 recordings had
+// one arm, which replays as the first configured arm
+function upgradeSnapshot(state) {
+    if (state.arms) return state;
+    const { jointAngles, jointTargets, magnetOn, attachedObject, objects } = state;
+    return { arms: [{ id: ARM_SPECS[0].id, jointAngles, jointTargets, magnetOn, attachedObject }], objects };
+}
+
+// One row per arm per recorded state snapshot: joint angles, magnet and end effector position
+function recordingCsv(name) {
+    const rows = [['t_ms', 'arm_id', 'joint_0', 'joint_1', 'joint_2', 'joint_3', 'joint_4', 'joint_5', 'magnet_on', 'attached_object', 'x', 'y', 'z'].join(',')];
+    const events = readRecording(name);
+    const bases = new Map((events[0].arms ?? []).map(arm => [arm.id, armBasePose(arm)]));
+    for (const event of events) {
+        const state = event.type === 'start' || event.type === 'scene_loaded' ? event.state : event.type === 'state' ? event : null;
+        if (!state) continue;
+        for (const arm of upgradeSnapshot(state).arms) {
+            const { x, y, z } = forwardKinematics(arm.jointAngles, bases.get(arm.id)).endEffector;
+            rows.push([
+                event.t,
+                arm.id,
+                ...arm.jointAngles.map(angle => angle.toFixed(3)),
+                arm.magnetOn ? 1 : 0,
+                arm.attachedObject ?? '',
+                ...[x, y, z].map(v => v.toFixed(4))
+            ].join(','));
+        }
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Plays a recording to the browsers at `speed` times real time. Live
+ * broadcasts are held back until it ends, then browsers snap back to the
+ * live scene. The simulation itself is untouched. Replaces a running replay.
+ */
+function startReplay(name, speed = 1) {
+    const world = currentWorld();
+    const events = readRecording(name);
+    if (world.arms.some(arm => arm.currentTask)) {
+        throw new TaskError('ARM_BUSY', 'Cannot replay while a task is running');
+    }
+    if (world.replay) stopReplay();
+
+    const [start] = events;
+    const frames = events.filter(event => REPLAYED_EVENTS.includes(event.type));
+    const duration = events[events.length - 1].t;
+    world.replay = { name, speed, timer: null, startedAt: Date.now(), duration };
+
+    sendToUi({ type: 'replay', status: 'started', name, speed, duration_ms: duration });
+    sendToUi({ type: 'scene_loaded', name: `recording:${name}`, objects: start.objects, state: upgradeSnapshot(start.state) });
+
+    let index = 0;
+    const playNext = () => {
+        while (index < frames.length && frames[index].t <= (Date.now() - world.replay.startedAt) * speed) {
+            const { t, type, ...frame } = frames[index++];
+            if (type === 'state') {
+                sendToUi({ type, state: upgradeSnapshot(frame) });
+            } else {
+                sendToUi(frame.state ? { type, ...frame, state: upgradeSnapshot(frame.state) } : { type, ...frame });
+            }
+        }
+        if (index >= frames.length) {
+            stopReplay();
+            return;
+        }
+        world.replay.timer = setTimeout(playNext, Math.max(0, frames[index].t / speed - (Date.now() - world.replay.startedAt)));
+    };
+    playNext();
+    return world.replay;
+}
+
+// Ends the replay and shows browsers the live scene again; returns the name or null
+function stopReplay() {
+    const world = currentWorld();
+    if (!world.replay) return null;
+    const { name, timer } = world.replay;
+    clearTimeout(timer);
+    world.replay = null;
+    sendToUi({ type: 'replay', status: 'finished', name });
+    broadcastSceneLoaded(null);
+    return name;
+}
+
+// ============================================================================
+// TASK EXECUTION FUNCTIONS
+// ============================================================================
+
+const APPROACH_SPEED = 0.08; // m/s for the final approach to and retreat from an object
+const PICK_APPROACH_HEIGHT = 0.30;   // m - the magnet waits here above the object before descending
+const PICK_LIFT_HEIGHT = 0.35;
+const PICK_ATTACH_TIMEOUT_MS = 1500;
+const PICK_DEFAULT_ATTEMPTS = 3;
+const RELOCALIZE_TOLERANCE = 0.005;  // m - the approach is redone if the object moved further meanwhile
+const RELOCALIZE_LIMIT = 2;
+const PICK_TILT_STEP = 5;            // degrees
+const PICK_MAX_TILT = 30;            // degrees the magnet may lean in from vertical to reach objects near the base
+const PLACE_SETTLE_TIMEOUT_MS = 3000;
+
+// Offsets (m) around the object's centre for successive pick attempts: centre first, then a small cross
+const PICK_SEARCH_PATTERN = [
+    { x: 0, z: 0 },
+    { x: 0.015, z: 0 },
+    { x: 0, z: 0.015 },
+    { x: -0.015, z: 0 },
+    { x: 0, z: -0.015 }
+];
+
+// The object as the simulation has it now; the scene can change while a task runs
+function liveObject(objectId) {
+    const obj = currentWorld().state.objects.find(o => o.id === objectId);
+    if (!obj) {
+        throw new TaskError('OBJECT_NOT_FOUND', `Object '${objectId}' is no longer in the scene`);
+    }
+    return obj;
+}
+
+// Where an object ended up and what it rests on ('floor' or an object id)
+function restingPose(obj) {
+    return { position: roundVector(obj.position), resting_on: findSupport(obj).object?.id ?? 'floor' };
+}
+
+// Magnet position for picking an object up at a search offset
+function pickPoint(obj, offset) {
+    return {
+        x: obj.position.x + offset.x,
+        y: obj.position.y + objectHalfHeight(obj) + ARM_CONFIG.heldObjectOffset,
+        z: obj.position.z + offset.z
+    };
+}
+
+// Straight down where the arm can plan the descent and lift. Close to the base
+// the elbow limit stops a vertical magnet short of the object, so the magnet
+// leans in toward the base, no further than it has to, to move the wrist out
+// of the way. Null if no tilt up to PICK_MAX_TILT works.
+function pickOrientation(arm, pick, currentAngles = arm.jointAngles) {
+    const dx = pick.x - arm.base.position.x;
+    const dz = pick.z - arm.base.position.z;
+    const r = Math.hypot(dx, dz);
+    if (r < 1e-6) return null;
+    for (let tilt = 0; tilt <= PICK_MAX_TILT; tilt += PICK_TILT_STEP) {
+        const lean = Math.sin(tilt * Math.PI / 180) / r;
+        const orientation = tilt === 0 ? 'vertical' : { direction: { x: -dx * lean, y: -Math.cos(tilt * Math.PI / 180), z: -dz * lean } };
+        const above = solveIK(arm, { ...pick, y: PICK_APPROACH_HEIGHT }, orientation, currentAngles);
+        if (!above.reachable) continue;
+        try {
+            const options = { orientation, speed: APPROACH_SPEED };
+            const descent = planCartesianPath(arm, above.angles, [pick], options).points;
+            planCartesianPath(arm, descent[descent.length - 1].angles, [{ ...pick, y: PICK_LIFT_HEIGHT }], options);
+            return orientation;
+        } catch (error) {
+            if (error.code !== 'OUT_OF_REACH') throw error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Moves above the object, offset by a search offset, and reads its live pose
+ * again on arrival. If the object moved in the meantime (dragged, knocked or
+ * still falling) the approach is repeated. Returns the approach point, the
+ * magnet position for picking, both from the latest pose, and the magnet
+ * orientation that reaches them (see pickOrientation).
+ */
+async function approachObject(arm, objectId, offset, options) {
+    for (let tries = 0; ; tries++) {
+        const target = liveObject(objectId);
+        const planned = { ...target.position };
+        const above = { ...pickPoint(target, offset), y: PICK_APPROACH_HEIGHT };
+        // Out of reach either way: go vertical and let the motion report where
+        const orientation = pickOrientation(arm, pickPoint(target, offset)) ?? 'vertical';
+        await moveTo(arm, above, { ...options, orientation });
+
+        const obj = liveObject(objectId);
+        const moved = Math.hypot(obj.position.x - planned.x, obj.position.z - planned.z);
+        if (moved <= RELOCALIZE_TOLERANCE || tries >= RELOCALIZE_LIMIT) {
+            return { above, pick: pickPoint(obj, offset), orientation };
+        }
+        log('info', 'Object moved during approach', { object_id: objectId, moved_m: Math.round(moved * 1000) / 1000 });
+    }
+}
+
+// Resolves once the object has stopped falling or another magnet has caught
+// it: { object, settled }, with object null if it left the scene and settled
+// false if still falling at the timeout
+async function waitForSettle(arm, objectId, timeoutMs) {
+    const world = currentWorld();
+    const end = Date.now() + timeoutMs;
+    for (;;) {
+        const object = world.state.objects.find(o => o.id === objectId) ?? null;
+        if (!object) return { object, settled: false };
+        if (isHeld(objectId)) return { object, settled: true };
+        const rest = supportHeight(object) + objectHalfHeight(object);
+        if (!world.sim.fallSpeeds.has(objectId) && Math.abs(object.position.y - rest) < 0.001) {
+            return { object, settled: true };
+        }
+        if (Date.now() >= end) return { object, settled: false };
+        throwIfCancelled(arm);
+        await sleep(50);
+    }
+}
+
+/**
+ * Picks an object up: approach from above, descend, switch the magnet on and
+ * wait for the simulation to report the attachment. A miss releases the
+ * magnet, backs off and tries again at the next PICK_SEARCH_PATTERN offset;
+ * after maxAttempts misses the task fails with PICK_FAILED.
+ */
+async function executePickObject(arm, objectId, speedScale = 1, seed, maxAttempts = PICK_DEFAULT_ATTEMPTS) {
+    const startTime = Date.now();
+
+    // 1. Find object
+    const obj = currentWorld().state.objects.find(o => o.id === objectId);
+    if (!obj) {
+        return {
+            success: false,
+            message: `Object '${objectId}' not found`,
+            error_code: 'OBJECT_NOT_FOUND',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    if (obj.magnetic === false) {
+        return {
+            success: false,
+            message: `Object '${objectId}' is not magnetic`,
+            error_code: 'NOT_MAGNETIC',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    const holder = armHolding(objectId);
+    if (holder && holder !== arm) {
+        return {
+            success: false,
+            message: `Object '${objectId}' is held by arm '${holder.id}'; hand it over with place_object instead`,
+            error_code: 'OBJECT_HELD',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    // 2. Check if already holding something
+    if (arm.state.magnetOn && arm.state.attachedObject) {
+        return {
+            success: false,
+            message: `Already holding object '${arm.state.attachedObject}'`,
+            error_code: 'ALREADY_HOLDING_OBJECT',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    try {
+        const approach = { speed: APPROACH_SPEED, speedScale, ignore: [objectId] };
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const total = 4 * attempt;
+
+            // 3. Approach from above using the object's live pose - straight vertical descent
+            taskStep(arm, attempt === 1 ? `Moving above '${objectId}'` : `Retrying '${objectId}' (attempt ${attempt} of ${maxAttempts})`, total);
+            const { above, pick, orientation } = await approachObject(arm, objectId, PICK_SEARCH_PATTERN[attempt - 1], { speedScale, seed });
+            approach.orientation = orientation;
+            taskStep(arm, `Descending to '${objectId}'`, total);
+            await moveLinear(arm, [pick], approach);
+            taskStep(arm, 'Activating magnet', total);
+            await setMagnet(arm, true);
+
+            // 4. Lift only once the simulation reports the attachment, and check it held on the way up
+            if (await waitForAttachment(arm, objectId, PICK_ATTACH_TIMEOUT_MS)) {
+                taskStep(arm, `Lifting '${objectId}'`, total);
+                await moveLinear(arm, [{ ...pick, y: PICK_LIFT_HEIGHT }], approach);
+                if (arm.state.attachedObject === objectId) {
+                    return {
+                        success: true,
+                        message: `Successfully picked up '${objectId}'${attempt > 1 ? ` on attempt ${attempt}` : ''}`,
+                        error_code: null,
+                        attempts: attempt,
+                        duration_ms: Date.now() - startTime
+                    };
+                }
+                log('warn', 'Object dropped while lifting', { object_id: objectId, attempt });
+            }
+
+            // 5. Missed: let go of whatever the magnet has and back off for the next try
+            taskStep(arm, `Missed '${objectId}', backing off`, total);
+            await setMagnet(arm, false);
+            await moveLinear(arm, [above], approach);
+        }
+
+        throw new TaskError('PICK_FAILED', `Could not pick up '${objectId}' after ${maxAttempts} attempt(s)`, { attempts: maxAttempts });
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+}
+
+async function executeCarryTo(arm, x, y, z, orientation = 'vertical', speedScale = 1, seed) {
+    const startTime = Date.now();
+
+    // Check if holding an object
+    if (!arm.state.magnetOn || !arm.state.attachedObject) {
+        return {
+            success: false,
+            message: 'Not holding any object',
+            error_code: 'NO_OBJECT_HELD',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    try {
+        const targetPos = { x, y, z };
+        taskStep(arm, 'Moving to target', 1);
+        await moveTo(arm, targetPos, { orientation, speedScale, seed });
+
+        return {
+            success: true,
+            message: `Carried object to (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`,
+            error_code: null,
+            duration_ms: Date.now() - startTime
+        };
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+}
+
+/**
+ * Releases the held object, optionally after moving to a place position, and
+ * reports where it comes to rest. If another arm's magnet is on within reach
+ * of the object it catches it instead, and the result names that arm in
+ * handed_to.
+ */
+async function executePlaceObject(arm, params = {}) {
+    const startTime = Date.now();
+
+    // Check if holding an object
+    if (!arm.state.magnetOn || !arm.state.attachedObject) {
+        return {
+            success: false,
+            message: 'Not holding any object',
+            error_code: 'NO_OBJECT_HELD',
+            duration_ms: Date.now() - startTime
+        };
+    }
+
+    const objectId = arm.state.attachedObject;
+
+    try {
+        // If position specified, move there first
+        const moveFirst = params.x !== undefined && params.y !== undefined && params.z !== undefined;
+        if (moveFirst) {
+            taskStep(arm, 'Moving to place position', 3);
+            await moveTo(arm, { x: params.x, y: params.y, z: params.z }, {
+                orientation: params.orientation || 'vertical',
+                speedScale: params.speed_scale ?? 1,
+                seed: params.planner_seed
+            });
+        }
+
+        // Release the object and watch where it comes to rest
+        const total = moveFirst ? 3 : 2;
+        taskStep(arm, `Releasing '${objectId}'`, total);
+        // Objects stay upright, so a placement is unstable when the object
+        // lands on something other than what was below it at release
+        const released = liveObject(objectId);
+        const releaseHeight = released.position.y;
+        const expected = findSupport(released).object?.id ?? 'floor';
+        await setMagnet(arm, false);
+        taskStep(arm, `Waiting for '${objectId}' to settle`, total);
+        const { object, settled } = await waitForSettle(arm, objectId, PLACE_SETTLE_TIMEOUT_MS);
+
+        if (!object) {
+            throw new TaskError('OBJECT_LOST', `'${objectId}' left the scene after release`);
+        }
+        const receiver = armHolding(objectId);
+        if (receiver) {
+            return {
+                success: true,
+                message: `Handed '${objectId}' over to arm '${receiver.id}'`,
+                error_code: null,
+                handed_to: receiver.id,
+                duration_ms: Date.now() - startTime
+            };
+        }
+        const finalPose = restingPose(object);
+        const { x, y, z } = finalPose.position;
+        if (!settled || x < SCENE_BOUNDS.x[0] || x > SCENE_BOUNDS.x[1] || z < SCENE_BOUNDS.z[0] || z > SCENE_BOUNDS.z[1]) {
+            throw new TaskError('OBJECT_LOST', `'${objectId}' fell out of the workspace`, { final_pose: finalPose });
+        }
+        if (finalPose.resting_on !== expected) {
+            const drop = releaseHeight - y;
+            throw new TaskError('PLACE_UNSTABLE',
+                `'${objectId}' was released over ${expected} but came to rest on ${finalPose.resting_on} at (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`,
+                { final_pose: finalPose, expected_support: expected, drop_m: Math.round(drop * 1000) / 1000 });
+        }
+
+        return {
+            success: true,
+            message: `Placed object '${objectId}' on ${finalPose.resting_on} at (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`,
+            error_code: null,
+            final_pose: finalPose,
+            duration_ms: Date.now() - startTime
+        };
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+}
+
+async function executeMoveLinear(arm, params) {
+    const startTime = Date.now();
+
+    try {
+        taskStep(arm, `Moving through ${params.waypoints.length} waypoint(s)`, 1);
+        await moveLinear(arm, params.waypoints, {
+            orientation: params.orientation || 'vertical',
+            speed: params.speed ?? LINEAR_SPEED,
+            acceleration: params.acceleration ?? LINEAR_ACCELERATION,
+            blendRadius: params.blend_radius ?? LINEAR_BLEND_RADIUS,
+            speedScale: params.speed_scale ?? 1
+        });
+
+        const end = arm.endEffector;
+        return {
+            success: true,
+            message: `Moved through ${params.waypoints.length} waypoint(s), ended at (${end.x.toFixed(2)}, ${end.y.toFixed(2)}, ${end.z.toFixed(2)})`,
+            error_code: null,
+            duration_ms: Date.now() - startTime
+        };
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+}
+
+async function executeDance(arm, durationSeconds) {
+    const startTime = Date.now();
+
+    try {
+        await runProgramActions(arm, parseProgram(danceProgram(durationSeconds).steps));
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+
+    return {
+        success: true,
+        message: `Dance completed in ${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+        error_code: null,
+        duration_ms: Date.now() - startTime
+    };
+}
+
+async function executeResetToBase(arm, speedScale = 1) {
+    const startTime = Date.now();
+
+    try {
+        const steps = arm.state.magnetOn ? 2 : 1;
+
+        // Turn off magnet if on
+        if (arm.state.magnetOn) {
+            taskStep(arm, 'Releasing magnet', steps);
+            await setMagnet(arm, false);
+            arm.state.attachedObject = null;
+        }
+
+        // Reset to home position
+        taskStep(arm, 'Moving home', steps);
+        const duration = setJointTargets(arm, [0, 0, 0, 0, 0, 0], speedScale);
+        await waitForMotionComplete(arm, duration + 5000);
+        throwIfCancelled(arm);
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+
+    return {
+        success: true,
+        message: 'Arm reset to home position',
+        error_code: null,
+        duration_ms: Date.now() - startTime
+    };
+}
+
+// ============================================================================
+// TEACH MODE
+// ============================================================================
+
+// Named poses and programs are kept in state.json. A pose is either joint
+// angles or a Cartesian magnet pose (position and orientation quaternion).
+// A program is an ordered list of steps:
+//   { pose: name, speed_scale?, linear?, min_seconds? } - move to a saved pose
+//   { angles: [6 numbers], speed_scale?, min_seconds? }  - move to joint angles
+//   { magnet: true | false }                             - switch the magnet
+//   { wait: seconds }                                    - pause
+//   { loop: count, steps: [...] }                        - repeat nested steps
+// min_seconds makes a move last at least that long by holding the pose at the end.
+const POSE_KINDS = ['joints', 'cartesian'];
+const PROGRAM_LIMITS = { maxSteps: 1000, maxLoop: 100, maxDepth: 4, maxWait: 60 };
+
+const DANCE_FRAMES = [
+    [0, 0, 0, 0, 0, 0],           // Home
+    [45, 20, -30, 0, 10, 90],     // Wave right
+    [-45, 20, -30, 0, 10, -90],   // Wave left
+    [0, 45, -90, 45, 30, 0],      // Reach up
+    [0, -10, 30, 0, -20, 90],     // Bow (wrist at 180 would fold the magnet into itself)
+    [90, 30, -60, 90, 0, 45],     // Pose 1
+    [-90, 30, -60, -90, 0, -45],  // Pose 2
+    [0, 0, 0, 0, 0, 0],           // Home
+];
+
+// Seconds the routine takes from home at full speed; a shorter duration can't speed it up
+const DANCE_MIN_SECONDS = Math.ceil(
+    DANCE_FRAMES.slice(1).reduce((sum, angles, i) => sum + planJointMove(DANCE_FRAMES[i], angles).duration, 0) / 1000);
+
+// Each frame gets an equal share of the duration (longer if the move itself takes longer)
+function danceProgram(durationSeconds = 5) {
+    const minSeconds = durationSeconds / DANCE_FRAMES.length;
+    return {
+        description: `Wave, reach and bow through ${DANCE_FRAMES.length} poses`,
+        steps: DANCE_FRAMES.map(angles => ({ angles, min_seconds: minSeconds }))
+    };
+}
+
+// Built-in programs by name; saved programs can't take these names
+const BUILTIN_PROGRAMS = { dance: danceProgram };
+
+function checkTeachName(name, what) {
+    if (typeof name !== 'string' || !SCENE_NAME_PATTERN.test(name)) {
+        throw new TaskError('INVALID_NAME', `${what} names use letters, digits, - and _ (at most 64 characters)`);
+    }
+}
+
+function checkJointAngles(angles) {
+    angles.forEach((angle, i) => {
+        const [min, max] = jointLimits[i];
+        if (angle < min || angle > max) {
+            throw new TaskError('JOINT_LIMIT', `Joint ${i} angle ${angle}° is outside its limits [${min}°, ${max}°]`);
+        }
+    });
+}
+
+function describePoses() {
+    return Object.entries(currentWorld().state.poses).map(([name, pose]) => ({ name, ...pose }));
+}
+
+function listPrograms() {
+    return [
+        ...Object.entries(BUILTIN_PROGRAMS).map(([name, build]) => ({ name, builtin: true, ...build() })),
+        ...Object.entries(currentWorld().state.programs).map(([name, program]) => ({ name, builtin: false, ...program }))
+    ];
+}
+
+// Persists a pose/program change and tells browsers to refresh their teach panels
+function commitTeachChange() {
+    saveState();
+    broadcastEvent({ type: 'teach', poses: describePoses(), programs: listPrograms() });
+}
+
+/**
+ * Stores a named pose. Without angles/position the arm's current pose is
+ * taught: its joint angles, or for kind 'cartesian' the magnet position and
+ * orientation. Refuses to replace an existing pose unless overwrite is set.
+ * Poses are shared by all arms; Cartesian ones are in world coordinates.
+ */
+function savePose(arm, name, spec = {}) {
+    const world = currentWorld();
+    checkTeachName(name, 'Pose');
+    if (world.state.poses[name] && !spec.overwrite) {
+        throw new TaskError('POSE_EXISTS', `Pose '${name}' already exists; pass overwrite to replace it`);
+    }
+
+    const kind = spec.kind ?? (spec.position ? 'cartesian' : 'joints');
+    let pose;
+    if (kind === 'joints') {
+        const angles = spec.angles ?? arm.jointAngles.map(a => Math.round(a * 100) / 100);
+        checkJointAngles(angles);
+        pose = { kind, angles };
+    } else {
+        const fk = forwardKinematics(arm.jointAngles, arm.base);
+        const position = spec.position ?? roundVector(fk.endEffector);
+        // A given position defaults to the magnet pointing down, like the other tools
+        const orientation = spec.orientation ?? (spec.position ? 'vertical' : { quaternion: roundVector(fk.orientation) });
+        const ik = solveIK(arm, position, orientation);
+        if (!ik.reachable) {
+            throw new TaskError('OUT_OF_REACH', `Pose '${name}' at (${position.x}, ${position.y}, ${position.z}) is out of reach`);
+        }
+        pose = { kind, position, orientation };
+    }
+
+    world.state.poses[name] = { ...pose, saved_at: new Date().toISOString() };
+    commitTeachChange();
+    return { name, ...world.state.poses[name] };
+}
+
+// Whether program steps, including nested loops, move to the named pose
+function stepsUsePose(steps, name) {
+    return steps.some(step => step.pose === name || (Array.isArray(step.steps) && stepsUsePose(step.steps, name)));
+}
+
+// Refuses with POSE_IN_USE while saved programs move to the pose, which would fail at run time without it
+function deletePose(name) {
+    const world = currentWorld();
+    if (!world.state.poses[name]) {
+        throw new TaskError('POSE_NOT_FOUND', `Pose '${name}' not found`);
+    }
+    const programs = Object.keys(world.state.programs).filter(program => stepsUsePose(world.state.programs[program].steps, name));
+    if (programs.length > 0) {
+        throw new TaskError('POSE_IN_USE', `Pose '${name}' is used by program(s) ${programs.map(p => `'${p}'`).join(', ')}; delete or change them first`,
+            { programs });
+    }
+    delete world.state.poses[name];
+    commitTeachChange();
+}
+
+function getPose(name) {
+    const pose = currentWorld().state.poses[name];
+    if (!pose) {
+        throw new TaskError('POSE_NOT_FOUND', `Pose '${name}' not found`);
+    }
+    return pose;
+}
+
+/**
+ * Checks a program's steps and flattens loops into a list of actions
+ * ({ kind: 'move' | 'magnet' | 'wait', label, ... }), so nothing runs
+ * unless the whole program is valid. Throws INVALID_PROGRAM naming the
+ * offending step, or POSE_NOT_FOUND.
+ */
+function parseProgram(steps, path = 'steps', depth = 0, actions = []) {
+    const invalid = message => new TaskError('INVALID_PROGRAM', `${path}: ${message}`);
+    if (!Array.isArray(steps) || steps.length === 0) throw invalid('must be a non-empty array of steps');
+    if (depth > PROGRAM_LIMITS.maxDepth) throw invalid(`loops nest more than ${PROGRAM_LIMITS.maxDepth} deep`);
+
+    steps.forEach((step, i) => {
+        const at = `${path}[${i}]`;
+        const stepInvalid = message => new TaskError('INVALID_PROGRAM', `${at}: ${message}`);
+        if (!step || typeof step !== 'object') throw stepInvalid('must be an object');
+
+        const speedScale = step.speed_scale ?? 1;
+        const minSeconds = step.min_seconds ?? 0;
+        if (typeof speedScale !== 'number' || speedScale < 0.05 || speedScale > 1) throw stepInvalid('speed_scale must be between 0.05 and 1');
+        if (typeof minSeconds !== 'number' || minSeconds < 0 || minSeconds > PROGRAM_LIMITS.maxWait) {
+            throw stepInvalid(`min_seconds must be between 0 and ${PROGRAM_LIMITS.maxWait}`);
+        }
+
+        if (step.pose !== undefined) {
+            const pose = getPose(step.pose);
+            actions.push({ kind: 'move', label: `Moving to pose '${step.pose}'`, pose, linear: step.linear === true, speedScale, minSeconds });
+        } else if (step.angles !== undefined) {
+            if (!Array.isArray(step.angles) || step.angles.length !== 6 || !step.angles.every(Number.isFinite)) {
+                throw stepInvalid('angles must be six numbers');
+            }
+            try {
+                checkJointAngles(step.angles);
+            } catch (error) {
+                throw stepInvalid(error.message);
+            }
+            actions.push({ kind: 'move', label: `Moving to [${step.angles.join(', ')}]`, pose: { kind: 'joints', angles: step.angles }, speedScale, minSeconds });
+        } else if (step.magnet !== undefined) {
+            if (typeof step.magnet !== 'boolean') throw stepInvalid('magnet must be true or false');
+            actions.push({ kind: 'magnet', label: `Magnet ${step.magnet ? 'on' : 'off'}`, enabled: step.magnet });
+        } else if (step.wait !== undefined) {
+            if (typeof step.wait !== 'number' || step.wait < 0 || step.wait > PROGRAM_LIMITS.maxWait) {
+                throw stepInvalid(`wait must be between 0 and ${PROGRAM_LIMITS.maxWait} seconds`);
+            }
+            actions.push({ kind: 'wait', label: `Waiting ${step.wait}s`, seconds: step.wait });
+        } else if (step.loop !== undefined) {
+            if (!Number.isInteger(step.loop) || step.loop < 1 || step.loop > PROGRAM_LIMITS.maxLoop) {
+                throw stepInvalid(`loop must be a whole number from 1 to ${PROGRAM_LIMITS.maxLoop}`);
+            }
+            for (let n = 0; n < step.loop; n++) {
+                parseProgram(step.steps, `${at}.steps`, depth + 1, actions);
+            }
+        } else {
+            throw stepInvalid('needs one of pose, angles, magnet, wait or loop');
+        }
+
+        if (actions.length > PROGRAM_LIMITS.maxSteps) {
+            throw invalid(`runs more than ${PROGRAM_LIMITS.maxSteps} steps`);
+        }
+    });
+    return actions;
+}
+
+function saveProgram(name, { description = '', steps, overwrite = false } = {}) {
+    const world = currentWorld();
+    checkTeachName(name, 'Program');
+    if (BUILTIN_PROGRAMS[name]) {
+        throw new TaskError('INVALID_NAME', `'${name}' is a built-in program`);
+    }
+    if (world.state.programs[name] && !overwrite) {
+        throw new TaskError('PROGRAM_EXISTS', `Program '${name}' already exists; pass overwrite to replace it`);
+    }
+    const actions = parseProgram(steps);
+    world.state.programs[name] = { description, steps, saved_at: new Date().toISOString() };
+    commitTeachChange();
+    return actions.length;
+}
+
+function deleteProgram(name) {
+    const world = currentWorld();
+    if (!world.state.programs[name]) {
+        throw new TaskError('PROGRAM_NOT_FOUND', `Program '${name}' not found${BUILTIN_PROGRAMS[name] ? ' (built-in programs can\'t be deleted)' : ''}`);
+    }
+    delete world.state.programs[name];
+    commitTeachChange();
+}
+
+// Steps of a saved or built-in program by name
+function programSteps(name) {
+    const world = currentWorld();
+    if (world.state.programs[name]) return world.state.programs[name].steps;
+    if (BUILTIN_PROGRAMS[name]) return BUILTIN_PROGRAMS[name]().steps;
+    throw new TaskError('PROGRAM_NOT_FOUND', `Program '${name}' not found`);
+}
+
+// options: { speedScale, seed } - speedScale multiplies each step's own
+async function moveToPose(arm, pose, options = {}) {
+    if (pose.kind === 'joints') {
+        await followTrajectory(arm, await planCollisionFreeMove(arm, arm.jointAngles, [pose.angles], options), options);
+    } else if (options.linear) {
+        await moveLinear(arm, [pose.position], { ...options, orientation: pose.orientation });
+    } else {
+        await moveTo(arm, pose.position, { ...options, orientation: pose.orientation });
+    }
+}
+
+// Like sleep, but a cancelled task stops waiting within 100 ms
+async function waitCancellable(arm, ms) {
+    const end = Date.now() + ms;
+    while (Date.now() < end) {
+        throwIfCancelled(arm);
+        await sleep(Math.min(100, end - Date.now()));
+    }
+    throwIfCancelled(arm);
+}
+
+async function runProgramActions(arm, actions, options = {}) {
+    const { speedScale = 1, seed } = options;
+    for (const action of actions) {
+        taskStep(arm, action.label, actions.length);
+        const stepStart = Date.now();
+        switch (action.kind) {
+            case 'move':
+                await moveToPose(arm, action.pose, { speedScale: speedScale * action.speedScale, linear: action.linear, seed });
+                await waitCancellable(arm, action.minSeconds * 1000 - (Date.now() - stepStart));
+                break;
+            case 'magnet':
+                await setMagnet(arm, action.enabled);
+                break;
+            case 'wait':
+                await waitCancellable(arm, action.seconds * 1000);
+                break;
+        }
+    }
+    throwIfCancelled(arm);
+}
+
+async function executeGoToPose(arm, args) {
+    const startTime = Date.now();
+
+    try {
+        const pose = getPose(args.name);
+        taskStep(arm, `Moving to pose '${args.name}'`, 1);
+        await moveToPose(arm, pose, { speedScale: args.speed_scale ?? 1, linear: args.linear === true, seed: args.planner_seed });
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
 
     return {
         success: true,
-        message: 'Arm reset to home position',
+        message: `Reached pose '${args.name}'`,
+        error_code: null,
+        duration_ms: Date.now() - startTime
+    };
+}
+
+async function executeRunProgram(arm, args) {
+    const startTime = Date.now();
+    const label = args.name ? `Program '${args.name}'` : 'Program';
+    let actions;
+
+    try {
+        if ((args.name === undefined) === (args.steps === undefined)) {
+            throw new TaskError('INVALID_PROGRAM', 'Pass either name or steps');
+        }
+        actions = parseProgram(args.steps ?? programSteps(args.name));
+        await runProgramActions(arm, actions, { speedScale: args.speed_scale ?? 1, seed: args.planner_seed });
+    } catch (error) {
+        return taskFailure(error, startTime);
+    }
+
+    return {
+        success: true,
+        message: `${label} finished (${actions.length} steps)`,
         error_code: null,
         duration_ms: Date.now() - startTime
     };
 }
 
+// ============================================================================
+// CAMERAS
+// ============================================================================
+
+// Screenshots render from named virtual cameras rather than the browser's
+// orbit view, so the same call gives the same picture every time. The fixed
+// cameras are below; 'wrist' rides on the first arm's magnet and looks along
+// the tool axis ('wrist:<arm id>' for another arm); saved cameras are kept in
+// state.json. 'viewport' is whatever the browser's orbit camera shows.
+const BUILTIN_CAMERAS = {
+    perspective: { position: { x: 1.5, y: 1.2, z: 1.5 }, target: { x: 0, y: 0.4, z: 0 }, fov: 60, description: 'Default three-quarter view' },
+    top: { position: { x: 0, y: 2.2, z: 0 }, target: { x: 0, y: 0, z: 0 }, up: { x: 0, y: 0, z: -1 }, fov: 50, description: 'Straight down, +X right and +Z toward the bottom of the image' },
+    front: { position: { x: 0, y: 0.5, z: 2.2 }, target: { x: 0, y: 0.4, z: 0 }, fov: 50, description: 'From +Z looking back at the arm' },
+    side: { position: { x: 2.2, y: 0.5, z: 0 }, target: { x: 0, y: 0.4, z: 0 }, fov: 50, description: 'From +X looking at the arm' },
+    wrist: { fov: 70, description: 'Mounted on the magnet, looking along the tool axis' },
+    viewport: { description: "The browser's current orbit view" }
+};
+const DEFAULT_CAMERA = 'perspective';
+const WRIST_CAMERA_OFFSET = 0.06; // m beyond the magnet centre, clear of the magnet itself
+
+const SCREENSHOT_FORMATS = { png: 'image/png', jpeg: 'image/jpeg' };
+const SCREENSHOT_OVERLAYS = ['labels', 'axes', 'workspace'];
+const MAX_SCREENSHOT_VIEWS = 4;
+
+function describeCameras() {
+    const world = currentWorld();
+    // With several arms each has its own wrist camera
+    const wristCameras = world.arms.length > 1
+        ? world.arms.map(arm => ({ name: `wrist:${arm.id}`, builtin: true, ...BUILTIN_CAMERAS.wrist, description: `Mounted on the magnet of arm '${arm.id}'` }))
+        : [];
+    return [
+        ...Object.entries(BUILTIN_CAMERAS).map(([name, camera]) => ({ name, builtin: true, ...camera })),
+        ...wristCameras,
+        ...Object.entries(world.state.cameras).map(([name, camera]) => ({ name, builtin: false, ...camera }))
+    ];
+}
+
+function saveCamera(name, { position, target, fov = 60, up, overwrite = false }) {
+    const world = currentWorld();
+    checkTeachName(name, 'Camera');
+    if (BUILTIN_CAMERAS[name]) {
+        throw new TaskError('INVALID_NAME', `'${name}' is a built-in camera`);
+    }
+    if (world.state.cameras[name] && !overwrite) {
+        throw new TaskError('CAMERA_EXISTS', `Camera '${name}' already exists; pass overwrite to replace it`);
+    }
+    if (distance(position, target) < 0.01) {
+        throw new TaskError('INVALID_CAMERA', 'Camera position and target must be at least 1 cm apart');
+    }
+
+    world.state.cameras[name] = { position, target, fov, ...(up && { up }), saved_at: new Date().toISOString() };
+    saveState();
+    return { name, ...world.state.cameras[name] };
+}
+
+function deleteCamera(name) {
+    const world = currentWorld();
+    if (!world.state.cameras[name]) {
+        throw new TaskError('CAMERA_NOT_FOUND', `Camera '${name}' not found`);
+    }
+    delete world.state.cameras[name];
+    saveState();
+}
+
+// Where a camera is right now: { camera, position, target, up, fov }, or
+// { camera: 'viewport' } for the browser to use its own view
+function cameraView(name) {
+    const world = currentWorld();
+    if (name === 'viewport') return { camera: name };
+    if (name === 'wrist' || name.startsWith('wrist:')) {
+        const armId = name === 'wrist' ? undefined : name.slice('wrist:'.length);
+        if (armId !== undefined && !world.arms.some(arm => arm.id === armId)) {
+            throw new TaskError('CAMERA_NOT_FOUND', `Camera '${name}' not found: there is no arm '${armId}'`);
+        }
+        const arm = resolveArm(armId);
+        const fk = forwardKinematics(arm.jointAngles, arm.base);
+        const along = (from, length) => ({
+            x: from.x + fk.toolDirection.x * length,
+            y: from.y + fk.toolDirection.y * length,
+            z: from.z + fk.toolDirection.z * length
+        });
+        const position = along(fk.endEffector, WRIST_CAMERA_OFFSET);
+        return {
+            camera: name,
+            position,
+            target: along(position, 1),
+            up: rotateVector(fk.orientation, AXES.z),
+            fov: BUILTIN_CAMERAS.wrist.fov
+        };
+    }
+
+    const camera = BUILTIN_CAMERAS[name] ?? world.state.cameras[name];
+    if (!camera) {
+        throw new TaskError('CAMERA_NOT_FOUND', `Camera '${name}' not found; see list_cameras`);
+    }
+    return { camera: name, position: camera.position, target: camera.target, up: camera.up ?? AXES.y, fov: camera.fov };
+}
+
+/**
+ * Turns take_screenshot arguments into the request sent to the browser:
+ * one view per camera (camera or cameras, default 'perspective'), the image
+ * format and the overlays to draw. Throws INVALID_ARGUMENTS or CAMERA_NOT_FOUND.
+ */
+function screenshotRequest(args) {
+    if (args.camera !== undefined && args.cameras !== undefined) {
+        throw new TaskError('INVALID_ARGUMENTS', 'Pass either camera or cameras, not both');
+    }
+    const names = args.cameras ?? [args.camera ?? DEFAULT_CAMERA];
+    const overlays = args.overlays ?? [];
+    return {
+        width: args.width ?? 800,
+        height: args.height ?? 600,
+        format: SCREENSHOT_FORMATS[args.format ?? 'png'],
+        quality: args.quality ?? 0.9,
+        overlays,
+        views: names.map(cameraView),
+        // Overlays need to know what to draw
+        ...(overlays.includes('workspace') && {
+            workspace: {
+                reachRadius: ARM_CONFIG.reachRadius,
+                minHeight: ARM_CONFIG.minHeight,
+                maxHeight: ARM_CONFIG.maxHeight,
+                centers: currentWorld().arms.map(arm => ({ x: arm.base.position.x, z: arm.base.position.z }))
+            }
+        })
+    };
+}
+
+// ============================================================================
+// TASK MANAGER
+// ============================================================================
+
+// Each arm runs its motion tasks one at a time in submission order so two
+// callers never fight over its joint targets; calls beyond an arm's queue
+// limit are rejected. Different arms run their tasks side by side.
+const TASK_TOOLS = ['pick_object', 'carry_to', 'place_object', 'move_linear', 'dance', 'reset_to_base', 'go_to_pose', 'run_program'];
+const TASK_QUEUE_LIMIT = 8;
+const TASK_HISTORY_LIMIT = 50;
+
+/**
+ * Queues a motion tool call on the arm named by args.arm_id and returns the
+ * task. task.done resolves with the tool result (tagged with task_id and
+ * arm_id) once it has run or been cancelled.
+ * options.onProgress receives { progress, total, message } at each step;
+ * options.owner ({ sessionId, requestId }) lets an MCP client cancel its own call.
+ */
+function submitTask(tool, args, options = {}) {
+    const arm = resolveArm(args.arm_id);
+    if (arm.taskQueue.length >= TASK_QUEUE_LIMIT) {
+        throw new TaskError('TASK_QUEUE_FULL', `${arm.taskQueue.length} tasks are already waiting for arm '${arm.id}'; try again later or call stop`);
+    }
+
+    const id = randomUUID();
+    const task = {
+        id,
+        tool,
+        args,
+        arm,
+        status: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        progress: 0,
+        total: null,
+        step: null,
+        result: null,
+        cancelled: false,
+        cancelReason: null,
+        owner: options.owner || null,
+        onProgress: options.onProgress || null,
+        context: { ...requestContext.getStore(), tool, task_id: id, arm_id: arm.id } // log context for the task's run
+    };
+    task.done = new Promise(resolve => { task.resolve = resolve; });
+
+    currentWorld().tasks.set(task.id, task);
+    arm.taskQueue.push(task);
+    runNextTask(arm);
+    return task;
+}
+
+async function runNextTask(arm) {
+    if (arm.currentTask || arm.taskQueue.length === 0) return;
+
+    const task = arm.taskQueue.shift();
+    arm.currentTask = task;
+    task.status = 'running';
+    task.startedAt = Date.now();
+
+    let result;
+    await requestContext.run(task.context, async () => {
+        log('info', 'Task started', { queued_ms: task.startedAt - task.createdAt });
+        scheduleDisconnectFault(task);
+        try {
+            result = await executeAsyncTool(arm, task.tool, task.args);
+        } catch (error) {
+            result = taskFailure(error, task.startedAt);
+        }
+    });
+
+    arm.currentTask = null;
+    finishTask(task, result);
+    runNextTask(arm);
+}
+
+function finishTask(task, result) {
+    task.result = { ...result, task_id: task.id, arm_id: task.arm.id };
+    task.status = result.success ? 'succeeded' : result.error_code === 'CANCELLED' ? 'cancelled' : 'failed';
+    task.finishedAt = Date.now();
+    task.resolve(task.result);
+
+    const ran = task.startedAt === null ? 0 : task.finishedAt - task.startedAt;
+    observeMetric('robo_task_duration_seconds', { tool: task.tool, status: task.status }, ran / 1000);
+    requestContext.run(task.context, () => log(task.status === 'failed' ? 'warn' : 'info', 'Task finished', {
+        status: task.status, error_code: task.result.error_code, duration_ms: ran
+    }));
+
+    // Forget the oldest finished tasks
+    const { tasks } = currentWorld();
+    const finished = [...tasks.values()].filter(t => t.finishedAt !== null);
+    finished.slice(0, Math.max(0, finished.length - TASK_HISTORY_LIMIT)).forEach(t => tasks.delete(t.id));
+}
+
+function reportTaskProgress(task, message, total) {
+    task.progress += 1;
+    task.total = total ?? null;
+    task.step = message;
+    if (task.onProgress) {
+        task.onProgress({ progress: task.progress, ...(total !== undefined && { total }), message });
+    }
+}
+
+/**
+ * Cancels a task. A queued task is dropped; a running one has its motion
+ * halted and fails with CANCELLED at its next step. Returns false if the
+ * task had already finished.
+ */
+function cancelTask(task, reason = 'Task cancelled') {
+    if (task.status === 'queued') {
+        task.arm.taskQueue.splice(task.arm.taskQueue.indexOf(task), 1);
+        finishTask(task, taskFailure(new TaskError('CANCELLED', reason), task.createdAt));
+        return true;
+    }
+    if (task.status === 'running' && !task.cancelled) {
+        task.cancelled = true;
+        task.cancelReason = reason;
+        haltMotion(task.arm);
+        return true;
+    }
+    return false;
+}
+
+// Emergency stop: halts the arms and cancels their running tasks and everything queued
+function stopAllTasks(reason, targetArms = currentWorld().arms) {
+    const cancelled = targetArms
+        .flatMap(arm => [...arm.taskQueue, ...(arm.currentTask ? [arm.currentTask] : [])])
+        .filter(task => cancelTask(task, reason))
+        .map(task => task.id);
+    targetArms.forEach(arm => haltMotion(arm));
+    return cancelled;
+}
+
+function describeTask(task) {
+    const time = ms => ms === null ? null : new Date(ms).toISOString();
+    return {
+        task_id: task.id,
+        tool: task.tool,
+        arm_id: task.arm.id,
+        status: task.status,
+        progress: task.progress,
+        total: task.total,
+        step: task.step,
+        created_at: time(task.createdAt),
+        started_at: time(task.startedAt),
+        finished_at: time(task.finishedAt),
+        result: task.result
+    };
+}
+
+// ============================================================================
+// ARGUMENT VALIDATION
+// ============================================================================
+
+// The JSON Schema subset the tool schemas use: type (incl. integer and type
+// lists), enum, numeric bounds, string length/pattern, array items/length,
+// object properties/required/additionalProperties. Other keywords are ignored.
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+// Appends { path, message } for every way value breaks schema
+function validateSchema(value, schema, path, errors) {
+    if (schema.type !== undefined) {
+        const allowed = [].concat(schema.type);
+        const actual = schemaTypeOf(value);
+        const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!ok || (actual === 'number' && !Number.isFinite(value))) {
+            errors.push({ path, message: `must be ${allowed.join(' or ')}` });
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+        if (schema.items) {
+            value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const child = key => path ? `${path}.${key}` : key;
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: child(key), message: 'is required' });
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                validateSchema(item, properties[key], child(key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: child(key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(item, schema.additionalProperties, child(key), errors);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks tool arguments against the tool's inputSchema. Returns null when
+ * they are valid, otherwise an INVALID_ARGUMENTS failure listing every
+ * problem in details.errors as { path, message }.
+ */
+function validateToolArguments(tool, args) {
+    const errors = validateSchema(args, tool.inputSchema, '', []);
+    if (errors.length === 0) return null;
+
+    const describe = ({ path, message }) => path ? `${path} ${message}` : `arguments ${message}`;
+    return {
+        success: false,
+        message: `Invalid arguments for ${tool.name}: ${errors.map(describe).join('; ')}`,
+        error_code: 'INVALID_ARGUMENTS',
+        details: { errors },
+        duration_ms: 0
+    };
+}
+
+// MCP tools/call result: JSON text for older clients plus structuredContent;
+// a failed task or rejected call is flagged isError
+function toolCallResult(result) {
+    return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        ...(schemaTypeOf(result) === 'object' && { structuredContent: result }),
+        ...(result?.success === false && { isError: true })
+    };
+}
+
+// ============================================================================
+// TOOL DISPATCH
+// ============================================================================
+
+// Manual control must not fight a motion task over the joint targets or the magnet
+function assertArmIdle(arm) {
+    if (arm.currentTask || arm.taskQueue.length > 0) {
+        throw new TaskError('ARM_BUSY', `A motion task is running or queued on arm '${arm.id}'; wait for it or call stop`);
+    }
+}
+
+// Starts a joint move for move_joint / set_pose without waiting; returns its duration in ms
+function startManualMove(arm, angles, speedScale) {
+    assertArmIdle(arm);
+    angles.forEach((angle, i) => {
+        const [min, max] = jointLimits[i];
+        if (angle < min || angle > max) {
+            throw new TaskError('JOINT_LIMIT', `Joint ${i} angle ${angle}° is outside its limits [${min}°, ${max}°]`);
+        }
+    });
+    return setJointTargets(arm, angles, speedScale);
+}
+
+/**
+ * The one way tools are called, shared by MCP and the REST API. Validates the
+ * arguments, runs immediate tools in place and queues motion tools.
+ * Resolves to { result } once the call has finished, { task } for a motion
+ * tool when options.wait is false, or { images } for a screenshot (see requestScreenshot).
+ * Throws UNKNOWN_TOOL for names that aren't registered. Calls count
+ * towards a running scenario (see SCENARIOS).
+ * options: { owner, onProgress, wait = true } - see submitTask
+ */
+async function dispatchTool(name, args, options = {}) {
+    const tool = mcpTools.find(t => t.name === name);
+    if (!tool) {
+        throw new TaskError('UNKNOWN_TOOL', `Unknown tool: ${name}`);
+    }
+
+    return withLogContext({ tool: name }, async () => {
+        const callId = randomUUID();
+        const startTime = Date.now();
+        log('info', 'Tool call', { args_size: JSON.stringify(args).length });
+        log('debug', 'Tool call arguments', { args });
+        record('tool_call', { call_id: callId, tool: name, args });
+
+        let run;
+        const finish = result => {
+            countScenarioResult(run, result);
+            const errorCode = result.error_code ?? 'none';
+            const seconds = (Date.now() - startTime) / 1000;
+            incMetric('robo_tool_calls_total', { tool: name, error_code: errorCode });
+            observeMetric('robo_tool_call_duration_seconds', { tool: name, error_code: errorCode }, seconds);
+            log(result.success === false ? 'warn' : 'info', 'Tool call finished', {
+                success: result.success !== false, error_code: result.error_code ?? null, duration_ms: Math.round(seconds * 1000)
+            });
+            record('tool_result', { call_id: callId, tool: name, result });
+        };
+
+        try {
+            run = countScenarioCall(name);
+        } catch (error) {
+            const result = taskFailure(error, startTime);
+            finish(result);
+            return { result };
+        }
+
+        const outcome = await runTool(tool, args, options);
+        if (outcome.task) {
+            outcome.task.done.then(result => requestContext.run(outcome.task.context, () => finish(result)));
+        } else {
+            finish(outcome.result ?? { success: true, message: 'Screenshot taken', cameras: outcome.images.map(image => image.camera) });
+        }
+        return outcome;
+    });
+}
+
+async function runTool(tool, args, options) {
+    const { name } = tool;
+    const { wait = true } = options;
+
+    // Nothing executes until the arguments match the tool's inputSchema
+    const invalid = validateToolArguments(tool, args);
+    if (invalid) return { result: invalid };
+
+    if (name === 'take_screenshot') {
+        const startTime = Date.now();
+        let request;
+        try {
+            request = screenshotRequest(args);
+        } catch (error) {
+            return { result: taskFailure(error, startTime) };
+        }
+        try {
+            return { images: await requestScreenshot(request) };
+        } catch (error) {
+            return { result: taskFailure(new TaskError('SCREENSHOT_FAILED', error.message), startTime) };
+        }
+    }
+
+    if (!TASK_TOOLS.includes(name)) {
+        return { result: executeTool(name, args) };
+    }
+
+    let task;
+    try {
+        task = submitTask(name, args, options);
+    } catch (error) {
+        return { result: taskFailure(error, Date.now()) };
+    }
+    return wait ? { result: await task.done } : { task };
+}
+
 // ============================================================================
 // MCP TOOL DEFINITIONS
 // ============================================================================
 
+const SPEED_SCALE_SCHEMA = {
+    type: 'number',
+    description: 'Fraction of the joint velocity/acceleration/jerk limits to use (default: 1). Use a low value for careful moves near objects.',
+    minimum: 0.05,
+    maximum: 1
+};
+
+const PLANNER_SEED_SCHEMA = {
+    type: 'integer',
+    description: 'Seed for the obstacle-avoiding motion planner. The same seed and scene give the same path (default: random, or the PLANNER_SEED environment variable).',
+    minimum: 0
+};
+
+const ARM_ID_SCHEMA = {
+    type: 'string',
+    enum: ARM_SPECS.map(arm => arm.id),
+    description: `Arm to use (default: ${ARM_SPECS[0].id}); see get_environment_info for each arm's base and reach`
+};
+
+const POSITION_SCHEMA = {
+    type: 'object',
+    properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } }
+};
+
+// A point or direction that needs all three coordinates
+const VECTOR_SCHEMA = { ...POSITION_SCHEMA, required: ['x', 'y', 'z'] };
+
+const OBJECT_PROPERTY_SCHEMAS = {
+    type: { type: 'string', enum: OBJECT_TYPES, description: 'Object shape' },
+    size: {
+        type: 'number',
+        minimum: OBJECT_SIZE_RANGE[0],
+        maximum: OBJECT_SIZE_RANGE[1],
+        description: 'Edge length of a cube, or radius of a cylinder (height 1.5x the radius) or sphere, in meters'
+    },
+    mass: { type: 'number', exclusiveMinimum: 0, description: 'Mass in kg' },
+    color: { type: 'string', description: 'CSS color name or #rrggbb' },
+    magnetic: { type: 'boolean', description: 'Whether the magnet attracts the object (default: true)' }
+};
+
+// outputSchema of the motion tools - every result has this shape, success or not
+const TASK_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        error_code: { type: ['string', 'null'], description: 'Stable failure code such as OUT_OF_REACH, COLLISION or CANCELLED; null on success' },
+        details: { type: 'object', description: 'Extra failure data, e.g. the colliding pair' },
+        duration_ms: { type: 'number' },
+        task_id: { type: 'string' },
+        arm_id: { type: 'string', description: 'The arm that ran the task' }
+    },
+    required: ['success', 'message', 'error_code', 'duration_ms']
+};
+
+// Checked in full by parseProgram, which names the offending step
+const PROGRAM_STEPS_SCHEMA = {
+    type: 'array',
+    description: 'Program steps, run in order (see save_program)',
+    minItems: 1,
+    items: { type: 'object' }
+};
+
+const ORIENTATION_SCHEMA = {
+    description: 'Optional end effector orientation (default: magnet pointing straight down). One of: ' +
+        '{ roll, pitch, yaw } in degrees about world X, Y, Z; { quaternion: { x, y, z, w } }; ' +
+        'or { direction: { x, y, z } } to set only the direction the magnet points. ' +
+        'The magnet points along its frame\'s +Y, so all-zero roll/pitch/yaw points it straight up.',
+    type: 'object',
+    properties: {
+        roll: { type: 'number' },
+        pitch: { type: 'number' },
+        yaw: { type: 'number' },
+        quaternion: {
+            type: 'object',
+            properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' }, w: { type: 'number' } },
+            required: ['x', 'y', 'z', 'w']
+        },
+        direction: {
+            type: 'object',
+            properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+            required: ['x', 'y', 'z']
+        }
+    }
+};
+
 const mcpTools = [
     // Discovery Tools
     {
-        name: 'take_screenshot',
-        description: 'Capture a screenshot of the current 3D scene. Returns a base64 PNG image.',
+        name: 'take_screenshot',
+        description: 'Capture the 3D scene from a named camera (see list_cameras): perspective (default), top, front, side, wrist, viewport or a saved camera. ' +
+            'Pass cameras to get several views in one call, each as its own image. Overlays can label objects and draw the axes and the reachable workspace.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                camera: { type: 'string', description: `Camera name (default: ${DEFAULT_CAMERA})` },
+                cameras: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    minItems: 1,
+                    maxItems: MAX_SCREENSHOT_VIEWS,
+                    description: 'Several camera names, one image each (instead of camera)'
+                },
+                width: { type: 'integer', description: 'Width in pixels (default: 800)', minimum: 100, maximum: 1920 },
+                height: { type: 'integer', description: 'Height in pixels (default: 600)', minimum: 100, maximum: 1080 },
+                format: { type: 'string', enum: Object.keys(SCREENSHOT_FORMATS), description: 'Image format (default: png)' },
+                quality: { type: 'number', minimum: 0.1, maximum: 1, description: 'JPEG quality (default: 0.9)' },
+                overlays: {
+                    type: 'array',
+                    items: { type: 'string', enum: SCREENSHOT_OVERLAYS },
+                    description: 'labels: object ids; axes: world X (red), Y (green), Z (blue) at the base; workspace: the reach radius between the height limits'
+                }
+            }
+        }
+    },
+    {
+        name: 'list_cameras',
+        description: 'List the cameras take_screenshot can render from, built-in and saved.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'save_camera',
+        description: 'Save a named camera for take_screenshot, looking from position at target.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Camera name (letters, digits, - and _)' },
+                position: VECTOR_SCHEMA,
+                target: VECTOR_SCHEMA,
+                up: { ...VECTOR_SCHEMA, description: 'Image up direction (default: +Y)' },
+                fov: { type: 'number', minimum: 10, maximum: 120, description: 'Vertical field of view in degrees (default: 60)' },
+                overwrite: { type: 'boolean', description: 'Replace an existing camera of that name' }
+            },
+            required: ['name', 'position', 'target']
+        }
+    },
+    {
+        name: 'delete_camera',
+        description: 'Delete a saved camera.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Camera name from list_cameras' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'discover_objects',
+        description: 'List all objects in the scene with their type, position, size, mass, color and whether they are magnetic (only magnetic objects can be picked up).',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'spawn_object',
+        description: 'Add an object to the scene. Without a position it is placed on the floor in front of the arm; without y it rests on the floor, and an object spawned in the air falls.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', description: 'Unique id (default: generated from the type, e.g. cube3)' },
+                ...OBJECT_PROPERTY_SCHEMAS,
+                position: POSITION_SCHEMA
+            },
+            required: ['type']
+        }
+    },
+    {
+        name: 'remove_object',
+        description: 'Remove an object from the scene. A held object is removed from the magnet as well.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                object_id: { type: 'string', description: 'ID of the object to remove' }
+            },
+            required: ['object_id']
+        }
+    },
+    {
+        name: 'update_object',
+        description: 'Change an object\'s position, type, size, mass, color or magnetic flag. Only the given fields change. A held object cannot be moved.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                object_id: { type: 'string', description: 'ID of the object to update' },
+                ...OBJECT_PROPERTY_SCHEMAS,
+                position: { ...POSITION_SCHEMA, description: 'New position; omitted coordinates keep their current value' }
+            },
+            required: ['object_id']
+        }
+    },
+    {
+        name: 'list_scenes',
+        description: 'List the saved scene presets with their descriptions and object counts.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'save_scene',
+        description: 'Save the current arm pose, magnet state and objects as a named scene preset.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', pattern: SCENE_NAME_PATTERN.source, description: 'Scene name (letters, digits, _ or -)' },
+                description: { type: 'string', description: 'Optional description shown by list_scenes' },
+                overwrite: { type: 'boolean', description: 'Replace an existing scene with the same name (default: false)' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'load_scene',
+        description: 'Replace the arm pose, magnet state and all objects with a saved scene preset. Not allowed while the arm is moving.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Scene name (from list_scenes)' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'import_scene',
+        description: 'Store a scene file (as exported from GET /api/scenes/:name) as a named scene preset. The scene is checked but not loaded.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', pattern: SCENE_NAME_PATTERN.source, description: 'Scene name (letters, digits, _ or -)' },
+                scene: { type: 'object', description: 'Scene document with format, version, arm and objects' },
+                overwrite: { type: 'boolean', description: 'Replace an existing scene with the same name (default: false)' }
+            },
+            required: ['name', 'scene']
+        }
+    },
+    {
+        name: 'delete_scene',
+        description: 'Delete a saved scene preset.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Scene name (from list_scenes)' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'reset_scene',
+        description: 'Put the default objects back and release whatever the magnets hold. Not allowed while an arm is moving.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'list_scenarios',
+        description: 'List the benchmark scenarios with their goals, starting scenes and limits.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'start_scenario',
+        description: 'Load a scenario\'s scene and start scoring: from now on tool calls, failed calls, collisions, magnet path length and time are counted ' +
+            'until evaluate_scenario finishes the run or a limit is exceeded. Returns the goal, its predicates and the limits. Not allowed while an arm is moving.',
         inputSchema: {
             type: 'object',
             properties: {
-                width: { type: 'integer', description: 'Width in pixels (default: 800)', minimum: 100, maximum: 1920 },
-                height: { type: 'integer', description: 'Height in pixels (default: 600)', minimum: 100, maximum: 1080 }
+                name: { type: 'string', description: 'Scenario name (from list_scenarios)' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'evaluate_scenario',
+        description: 'Check the running scenario\'s goal predicates against the scene and report success, score (fraction of predicates met), ' +
+            'tool calls, failed calls, collisions, path length and duration_ms. Objects that are held or falling satisfy no predicate.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                finish: { type: 'boolean', description: 'End the run and keep this as its final report (default: false)' }
             }
         }
     },
     {
-        name: 'discover_objects',
-        description: 'List all metallic objects in the scene that can be picked up by the magnetic gripper.',
-        inputSchema: { type: 'object', properties: {} }
+        name: 'set_fault_profile',
+        description: 'Make this world misbehave for robustness testing: noise on discover_objects positions, joint tracking error and backlash, ' +
+            'the magnet dropping what it carries, motion waits timing out (MOTION_TIMEOUT) and browser disconnects. Pick a named profile, ' +
+            'override single settings with faults, and pass a seed to reproduce a run. Profile none turns faults off. Every injected fault is logged (see get_fault_profile).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                profile: { type: 'string', enum: Object.keys(FAULT_PROFILES), description: 'Named profile to start from (default: none)' },
+                faults: {
+                    type: 'object',
+                    description: 'Settings overriding the profile; 0 turns one off',
+                    properties: Object.fromEntries(Object.entries(FAULT_SETTINGS).map(([name, [min, max]]) => [name, { type: 'number', minimum: min, maximum: max }])),
+                    additionalProperties: false
+                },
+                seed: { type: 'integer', minimum: 0, maximum: 2 ** 32 - 1, description: 'Seed for the fault generator (default: random, reported back)' }
+            }
+        }
+    },
+    {
+        name: 'get_fault_profile',
+        description: 'Show this world\'s fault profile, its seed, and the faults injected so far with their details, most recent last.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                recent: { type: 'integer', minimum: 0, maximum: FAULT_LOG_SIZE, description: 'Number of injected faults to list (default: 20)' }
+            }
+        }
+    },
+    {
+        name: 'get_arm_state',
+        description: 'Get the live state of an arm: current and target joint angles (degrees), whether it is moving, the end effector position and orientation in world coordinates (quaternion and roll/pitch/yaw), the held object and its task queue.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA
+            }
+        }
     },
     {
         name: 'get_environment_info',
-        description: 'Get information about the robot arm, workspace bounds, and coordinate system.',
+        description: 'Get information about the robot arms (each with its base pose and reach envelope), workspace bounds, and coordinate system.',
         inputSchema: { type: 'object', properties: {} }
     },
     // Task Execution Tools
     {
         name: 'pick_object',
-        description: 'Move the arm to the specified object and pick it up with the magnetic gripper. The arm will move above the object, descend, activate the magnet, and lift.',
+        description: 'Move the arm to the specified object and pick it up with the magnetic gripper. The arm moves above the object, checks where it is now, descends ' +
+            '(leaning the magnet in by up to 30° for objects close to the base), ' +
+            'activates the magnet and lifts once the object is attached. A miss is retried at small offsets around the object; PICK_FAILED after max_attempts misses.',
         inputSchema: {
             type: 'object',
             properties: {
-                object_id: { type: 'string', description: 'ID of the object to pick (from discover_objects)' }
+                arm_id: ARM_ID_SCHEMA,
+                object_id: { type: 'string', description: 'ID of the object to pick (from discover_objects)' },
+                max_attempts: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: PICK_SEARCH_PATTERN.length,
+                    description: `Tries before giving up (default: ${PICK_DEFAULT_ATTEMPTS})`
+                },
+                speed_scale: SPEED_SCALE_SCHEMA,
+                planner_seed: PLANNER_SEED_SCHEMA
             },
             required: ['object_id']
-        }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
     },
     {
         name: 'carry_to',
-        description: 'Move the currently held object to a specified position. Must be holding an object first (use pick_object).',
+        description: 'Move the currently held object to a specified position, routing around other objects and the base when needed. Must be holding an object first (use pick_object).',
         inputSchema: {
             type: 'object',
             properties: {
+                arm_id: ARM_ID_SCHEMA,
                 x: { type: 'number', description: 'X coordinate (right is positive)' },
                 y: { type: 'number', description: 'Y coordinate (up is positive, should be > 0.1 to stay above ground)' },
-                z: { type: 'number', description: 'Z coordinate (forward is positive)' }
+                z: { type: 'number', description: 'Z coordinate (forward is positive)' },
+                orientation: ORIENTATION_SCHEMA,
+                speed_scale: SPEED_SCALE_SCHEMA,
+                planner_seed: PLANNER_SEED_SCHEMA
             },
             required: ['x', 'y', 'z']
-        }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
     },
     {
         name: 'place_object',
-        description: 'Release the currently held object. Optionally move to a position first. The object will fall due to gravity.',
+        description: 'Release the currently held object. Optionally move to a position first. The object falls and the result reports where it came to rest (final_pose); ' +
+            'PLACE_UNSTABLE if it came to rest on something other than what was below it at release (it slid off or its support moved), OBJECT_LOST if it left the workspace. ' +
+            'To hand the object over, first put another arm\'s magnet next to it and switch that magnet on: it catches the object and the result names it in handed_to.',
         inputSchema: {
             type: 'object',
             properties: {
+                arm_id: ARM_ID_SCHEMA,
                 x: { type: 'number', description: 'Optional X coordinate to move to before placing' },
                 y: { type: 'number', description: 'Optional Y coordinate to move to before placing' },
-                z: { type: 'number', description: 'Optional Z coordinate to move to before placing' }
+                z: { type: 'number', description: 'Optional Z coordinate to move to before placing' },
+                orientation: ORIENTATION_SCHEMA,
+                speed_scale: SPEED_SCALE_SCHEMA,
+                planner_seed: PLANNER_SEED_SCHEMA
             }
-        }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
+    },
+    {
+        name: 'move_linear',
+        description: 'Move the magnet along straight lines in Cartesian space through one or more waypoints, with corners blended. Unlike carry_to, the path between points is a true straight line, which is safer near other objects. Works with or without a held object.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                waypoints: {
+                    type: 'array',
+                    description: 'Positions to pass through in order; the path starts at the current magnet position',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+                        required: ['x', 'y', 'z']
+                    }
+                },
+                speed: { type: 'number', description: `Maximum speed in m/s (default: ${LINEAR_SPEED})`, minimum: 0.01, maximum: 1 },
+                acceleration: { type: 'number', description: `Maximum acceleration in m/s² (default: ${LINEAR_ACCELERATION})`, minimum: 0.05, maximum: 5 },
+                blend_radius: { type: 'number', description: `Corner rounding at intermediate waypoints in meters (default: ${LINEAR_BLEND_RADIUS}, 0 stops at each)`, minimum: 0, maximum: 0.2 },
+                orientation: ORIENTATION_SCHEMA,
+                speed_scale: SPEED_SCALE_SCHEMA
+            },
+            required: ['waypoints']
+        },
+        outputSchema: TASK_RESULT_SCHEMA
     },
     {
         name: 'dance',
-        description: 'Make the robot arm perform a fun dance animation.',
+        description: `Make the robot arm perform a fun dance animation. The routine takes about ${DANCE_MIN_SECONDS}s at full speed; ` +
+            'a longer duration_seconds holds each pose for longer.',
         inputSchema: {
             type: 'object',
             properties: {
-                duration_seconds: { type: 'number', description: 'Duration of the dance in seconds (default: 5)', minimum: 1, maximum: 30 }
+                arm_id: ARM_ID_SCHEMA,
+                duration_seconds: {
+                    type: 'number',
+                    description: `Minimum duration of the dance in seconds (default: 5); below ${DANCE_MIN_SECONDS} the dance still takes about ${DANCE_MIN_SECONDS}s`,
+                    minimum: 1,
+                    maximum: 30
+                }
             }
-        }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
     },
     {
         name: 'reset_to_base',
         description: 'Return the arm to its home position (all joints at 0 degrees) and release any held object.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                speed_scale: SPEED_SCALE_SCHEMA
+            }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
+    },
+    {
+        name: 'move_joint',
+        description: 'Low-level control: start moving one joint to an angle and return without waiting for the motion. Refused with ARM_BUSY while motion tasks run.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                joint: { type: 'integer', description: 'Joint index (0 = base rotation ... 5 = wrist roll)', minimum: 0, maximum: 5 },
+                angle: { type: 'number', description: 'Target angle in degrees, within the joint limits (see get_environment_info)' },
+                speed_scale: SPEED_SCALE_SCHEMA
+            },
+            required: ['joint', 'angle']
+        }
+    },
+    {
+        name: 'set_pose',
+        description: 'Low-level control: start a synchronized move of all six joints and return without waiting for the motion. Refused with ARM_BUSY while motion tasks run.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                angles: {
+                    type: 'array',
+                    description: 'Six joint angles in degrees, within the joint limits',
+                    items: { type: 'number' },
+                    minItems: 6,
+                    maxItems: 6
+                },
+                speed_scale: SPEED_SCALE_SCHEMA
+            },
+            required: ['angles']
+        }
+    },
+    {
+        name: 'set_magnet',
+        description: 'Low-level control: switch the magnet on or off. Switching it off drops a held object. Refused with ARM_BUSY while motion tasks run.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                enabled: { type: 'boolean', description: 'true to switch the magnet on' }
+            },
+            required: ['enabled']
+        }
+    },
+    {
+        name: 'save_pose',
+        description: 'Teach a named pose. Without angles or position it saves where the arm is now: its joint angles, or with kind "cartesian" the magnet position and orientation.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                name: { type: 'string', description: 'Pose name (letters, digits, - and _)', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+                kind: { type: 'string', enum: POSE_KINDS, description: 'joints (default) or cartesian' },
+                angles: { type: 'array', items: { type: 'number' }, minItems: 6, maxItems: 6, description: 'Joint angles in degrees (kind joints)' },
+                position: { ...POSITION_SCHEMA, required: ['x', 'y', 'z'], description: 'Magnet position in meters (kind cartesian)' },
+                orientation: ORIENTATION_SCHEMA,
+                overwrite: { type: 'boolean', description: 'Replace an existing pose with the same name (default: false)' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'list_poses',
+        description: 'List the taught poses.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'delete_pose',
+        description: 'Delete a taught pose. Fails with POSE_IN_USE, naming the programs, while saved programs use it.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Pose name from list_poses' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'go_to_pose',
+        description: 'Move to a taught pose. Joint poses and Cartesian poses are reached in joint space around obstacles; set linear to move a Cartesian pose in a straight line.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                name: { type: 'string', description: 'Pose name from list_poses' },
+                linear: { type: 'boolean', description: 'Straight-line magnet path to a Cartesian pose (default: false)' },
+                speed_scale: SPEED_SCALE_SCHEMA,
+                planner_seed: PLANNER_SEED_SCHEMA
+            },
+            required: ['name']
+        },
+        outputSchema: TASK_RESULT_SCHEMA
+    },
+    {
+        name: 'save_program',
+        description: 'Save a named program. Steps run in order; each is one of ' +
+            '{ pose, speed_scale?, linear?, min_seconds? }, { angles: [6], speed_scale?, min_seconds? }, ' +
+            '{ magnet: true|false }, { wait: seconds } or { loop: count, steps: [...] }. ' +
+            'min_seconds makes a move last at least that long.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Program name (letters, digits, - and _)', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+                description: { type: 'string' },
+                steps: PROGRAM_STEPS_SCHEMA,
+                overwrite: { type: 'boolean', description: 'Replace an existing program with the same name (default: false)' }
+            },
+            required: ['name', 'steps']
+        }
+    },
+    {
+        name: 'list_programs',
+        description: 'List saved and built-in programs with their steps.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'delete_program',
+        description: 'Delete a saved program.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Program name from list_programs' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'run_program',
+        description: 'Run a saved or built-in program by name, or the steps given (same format as save_program). Reports progress for each step and can be cancelled like other motion tasks.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                name: { type: 'string', description: 'Program name from list_programs' },
+                steps: PROGRAM_STEPS_SCHEMA,
+                speed_scale: { ...SPEED_SCALE_SCHEMA, description: 'Multiplies each step\'s speed_scale (default: 1)' },
+                planner_seed: PLANNER_SEED_SCHEMA
+            }
+        },
+        outputSchema: TASK_RESULT_SCHEMA
+    },
+    {
+        name: 'stop',
+        description: 'Emergency stop: halt the arm immediately where it is (every arm unless arm_id is given). The running task and any queued tasks fail with CANCELLED. The magnet keeps its state.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA
+            }
+        }
+    },
+    {
+        name: 'get_tasks',
+        description: 'Status of motion tasks. With task_id, that task; otherwise the arm\'s running task, its queue and its recently finished tasks. Each arm runs its motion tools one at a time in call order.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                arm_id: ARM_ID_SCHEMA,
+                task_id: { type: 'string', description: 'ID from a task result (task_id)' }
+            }
+        }
+    },
+    {
+        name: 'start_recording',
+        description: 'Start recording the session to recordings/<name>.jsonl: every tool call and result, arm command, motion and magnet event, and state snapshot, with timestamps.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Recording name (letters, digits, - and _); defaults to one based on the current time', pattern: '^[A-Za-z0-9_-]{1,64}$' }
+            }
+        }
+    },
+    {
+        name: 'stop_recording',
+        description: 'Stop the running recording and close its file.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'list_recordings',
+        description: 'List saved recordings with their start time, duration and event count.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'delete_recording',
+        description: 'Delete a saved recording. Not allowed while it is still recording.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Recording name from list_recordings' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'replay_recording',
+        description: 'Play a recording back in the browser UI, which shows the recorded arm and objects instead of the live ones until the replay ends. The simulation is not affected.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Recording name from list_recordings' },
+                speed: { type: 'number', description: 'Playback speed relative to real time (default: 1)', minimum: REPLAY_SPEED_RANGE[0], maximum: REPLAY_SPEED_RANGE[1] }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'stop_replay',
+        description: 'End a replay early; the browser UI shows the live scene again.',
         inputSchema: { type: 'object', properties: {} }
     }
 ];
@@ -477,84 +5351,500 @@ const mcpTools = [
 function executeTool(name, args) {
     switch (name) {
         case 'discover_objects':
+            return { objects: sensedObjects() };
+
+        case 'get_arm_state':
+            return getArmState(resolveArm(args.arm_id));
+
+        case 'spawn_object':
+            return syncToolResult(() => {
+                const obj = spawnObject(args);
+                return { message: `Spawned ${obj.type} '${obj.id}'`, object: describeObject(obj) };
+            });
+
+        case 'remove_object':
+            return syncToolResult(() => {
+                removeObject(args.object_id);
+                return { message: `Removed '${args.object_id}'` };
+            });
+
+        case 'update_object': {
+            const { object_id: id, ...changes } = args;
+            return syncToolResult(() => {
+                const obj = updateObject(id, changes);
+                return { message: `Updated '${obj.id}'`, object: describeObject(obj) };
+            });
+        }
+
+        case 'list_scenes':
+            return { scenes: listScenes() };
+
+        case 'stop': {
+            const { arms } = currentWorld();
+            const stopped = args.arm_id === undefined ? arms : [resolveArm(args.arm_id)];
+            const cancelled = stopAllTasks('Stopped by the stop tool', stopped);
+            const what = args.arm_id === undefined ? (arms.length > 1 ? 'All arms' : 'Arm') : `Arm '${args.arm_id}'`;
+            return {
+                success: true,
+                message: cancelled.length ? `${what} stopped; cancelled ${cancelled.length} task(s)` : `${what} stopped`,
+                error_code: null,
+                cancelled_tasks: cancelled
+            };
+        }
+
+        case 'get_tasks': {
+            if (args.task_id !== undefined) {
+                const task = currentWorld().tasks.get(args.task_id);
+                return task ? describeTask(task) : { success: false, message: `Task '${args.task_id}' not found`, error_code: 'TASK_NOT_FOUND' };
+            }
+            const arm = resolveArm(args.arm_id);
+            const finished = [...currentWorld().tasks.values()].filter(t => t.arm === arm && t.finishedAt !== null);
             return {
-                objects: armState.objects.map(obj => ({
-                    id: obj.id,
-                    type: obj.type || 'cube',
-                    position: { ...obj.position },
-                    size: obj.size || 0.05,
-                    color: obj.color || 'silver',
-                    attached: armState.attachedObject === obj.id
-                }))
+                arm_id: arm.id,
+                current: arm.currentTask ? describeTask(arm.currentTask) : null,
+                queued: arm.taskQueue.map(describeTask),
+                recent: finished.slice(-10).reverse().map(describeTask)
             };
+        }
+
+        case 'move_joint':
+            return syncToolResult(() => {
+                const arm = resolveArm(args.arm_id);
+                const angles = [...arm.state.jointTargets];
+                angles[args.joint] = args.angle;
+                const motionMs = startManualMove(arm, angles, args.speed_scale ?? 1);
+                return { message: `Moving joint ${args.joint} to ${args.angle}°`, target_angles: angles, motion_ms: Math.round(motionMs) };
+            });
+
+        case 'set_pose':
+            return syncToolResult(() => {
+                const motionMs = startManualMove(resolveArm(args.arm_id), args.angles, args.speed_scale ?? 1);
+                return { message: `Moving to [${args.angles.join(', ')}]`, target_angles: args.angles, motion_ms: Math.round(motionMs) };
+            });
+
+        case 'set_magnet':
+            return syncToolResult(() => {
+                const arm = resolveArm(args.arm_id);
+                assertArmIdle(arm);
+                switchMagnet(arm, args.enabled);
+                return { message: `Magnet ${args.enabled ? 'on' : 'off'}` };
+            });
+
+        case 'start_recording':
+            return syncToolResult(() => {
+                const { name } = startRecording(args.name);
+                return { message: `Recording to '${name}'`, recording: name };
+            });
+
+        case 'stop_recording':
+            return syncToolResult(() => {
+                const { name, events, duration_ms: recorded } = stopRecording();
+                return { message: `Stopped recording '${name}' (${events} events)`, recording: name, events, recorded_ms: recorded };
+            });
+
+        case 'list_recordings': {
+            const { recorder, replay } = currentWorld();
+            return { recordings: listRecordings(), recording: recorder?.name ?? null, replaying: replay?.name ?? null };
+        }
+
+        case 'delete_recording':
+            return syncToolResult(() => {
+                deleteRecording(args.name);
+                return { message: `Deleted recording '${args.name}'` };
+            });
+
+        case 'replay_recording':
+            return syncToolResult(() => {
+                const { name, speed, duration } = startReplay(args.name, args.speed ?? 1);
+                return { message: `Replaying '${name}' at ${speed}x`, replay_ms: Math.round(duration / speed) };
+            });
+
+        case 'stop_replay':
+            return syncToolResult(() => {
+                const name = stopReplay();
+                return { message: name ? `Stopped replaying '${name}'` : 'No replay was running' };
+            });
+
+        case 'save_pose':
+            return syncToolResult(() => {
+                const { name, overwrite, arm_id: armId, ...spec } = args;
+                const pose = savePose(resolveArm(armId), name, { ...spec, overwrite });
+                return { message: `Saved ${pose.kind} pose '${name}'`, pose };
+            });
+
+        case 'list_cameras':
+            return { cameras: describeCameras() };
+
+        case 'save_camera':
+            return syncToolResult(() => {
+                const { name, ...spec } = args;
+                const camera = saveCamera(name, spec);
+                return { message: `Saved camera '${name}'`, camera };
+            });
+
+        case 'delete_camera':
+            return syncToolResult(() => {
+                deleteCamera(args.name);
+                return { message: `Deleted camera '${args.name}'` };
+            });
+
+        case 'list_poses':
+            return { poses: describePoses() };
+
+        case 'delete_pose':
+            return syncToolResult(() => {
+                deletePose(args.name);
+                return { message: `Deleted pose '${args.name}'` };
+            });
+
+        case 'save_program':
+            return syncToolResult(() => {
+                const steps = saveProgram(args.name, args);
+                return { message: `Saved program '${args.name}' (${steps} steps when run)` };
+            });
+
+        case 'list_programs':
+            return { programs: listPrograms() };
+
+        case 'delete_program':
+            return syncToolResult(() => {
+                deleteProgram(args.name);
+                return { message: `Deleted program '${args.name}'` };
+            });
+
+        case 'save_scene':
+            return syncToolResult(() => {
+                const scene = saveScene(args.name, { description: args.description, overwrite: args.overwrite });
+                return { message: `Saved scene '${args.name}' with ${scene.objects.length} objects`, scene: args.name };
+            });
+
+        case 'load_scene':
+            return syncToolResult(() => {
+                const scene = loadScene(args.name);
+                return { message: `Loaded scene '${args.name}' with ${scene.objects.length} objects`, scene: args.name };
+            });
+
+        case 'import_scene':
+            return syncToolResult(() => {
+                importScene(args.name, args.scene, args.overwrite === true);
+                return { message: `Imported scene '${args.name}'`, scene: args.name };
+            });
+
+        case 'delete_scene':
+            return syncToolResult(() => {
+                deleteScene(args.name);
+                return { message: `Deleted scene '${args.name}'` };
+            });
+
+        case 'reset_scene':
+            return syncToolResult(() => {
+                const objects = resetScene();
+                return { message: `Reset the scene to its ${objects.length} default objects`, objects: objects.map(describeObject) };
+            });
+
+        case 'set_fault_profile':
+            return syncToolResult(() => {
+                const faults = setFaultProfile(args);
+                return {
+                    message: faults ? `Fault profile '${faults.profile}' set with seed ${faults.seed}` : 'Fault injection off',
+                    ...describeFaults(0)
+                };
+            });
+
+        case 'get_fault_profile':
+            return describeFaults(args.recent ?? 20);
+
+        case 'list_scenarios':
+            return { scenarios: listScenarios() };
+
+        case 'start_scenario':
+            return syncToolResult(() => {
+                const { scenario } = startScenario(args.name);
+                return {
+                    message: `Started scenario '${args.name}'`,
+                    scenario: args.name,
+                    goal: scenario.goal,
+                    predicates: scenario.predicates,
+                    limits: scenario.limits
+                };
+            });
+
+        case 'evaluate_scenario': {
+            const run = currentWorld().scenario;
+            if (!run) {
+                return taskFailure(new TaskError('NO_SCENARIO', 'No scenario has been started; call start_scenario first'), Date.now());
+            }
+            if (args.finish && run.endedAt === null) endScenario(run, 'finished');
+            return scenarioReport(run);
+        }
 
         case 'get_environment_info':
             return {
+                world: currentWorld().id, // 'default' unless this session has a sandbox (see WORLDS)
                 coordinate_system: {
                     type: 'right-handed',
                     units: 'meters',
-                    origin: 'base of robot arm',
+                    origin: ARM_SPECS.length > 1 ? 'floor at the workspace centre' : 'base of robot arm',
                     x_axis: 'right (positive)',
                     y_axis: 'up (positive)',
                     z_axis: 'forward (positive)'
                 },
+                // Every arm shares this configuration; arms lists where each one stands
                 arm: {
                     type: '6-DOF serial manipulator',
                     reach_radius: ARM_CONFIG.reachRadius,
                     max_height: ARM_CONFIG.maxHeight,
                     min_height: ARM_CONFIG.minHeight,
                     end_effector: 'electromagnetic magnet (radius 0.05m)',
+                    orientation_convention: 'roll/pitch/yaw in degrees about world X, Y, Z (applied in that order); the magnet points along its local +Y, so roll 180 points it straight down',
+                    joint_frame: 'joint angles are relative to the arm\'s own base: joint 0 at 0° faces the direction given by the base yaw (0° = +Z)',
                     joint_limits: jointLimits.map((limits, i) => ({
                         joint: i,
                         min: limits[0],
                         max: limits[1],
-                        unit: 'degrees'
-                    }))
+                        unit: 'degrees',
+                        max_velocity: jointMotionLimits[i].maxVelocity,
+                        max_acceleration: jointMotionLimits[i].maxAcceleration,
+                        max_jerk: jointMotionLimits[i].maxJerk
+                    })),
+                    motion_profile: MOTION_PROFILE
+                },
+                arms: currentWorld().arms.map(describeArm),
+                collision_model: {
+                    links: LINK_NAMES,
+                    description: 'Arm links are capsules and the magnet a sphere; objects are boxes, vertical cylinders or spheres. ' +
+                        'Every motion is checked against the floor, the bases, scene objects, the arm itself and the other arms before it starts - ' +
+                        'a moving arm where its own motion will have taken it - and a COLLISION error names the colliding pair ' +
+                        '(other arms\' links as <arm id>.<link>). A magnet may touch an object another arm holds, for a handover.'
+                },
+                motion_planner: {
+                    algorithm: 'rrt_connect',
+                    used_by: ['pick_object', 'carry_to', 'place_object', 'go_to_pose', 'run_program', 'dance'],
+                    max_iterations: PLANNER_MAX_ITERATIONS,
+                    description: 'Transit moves go straight in joint space when that is clear, otherwise a joint-space path around obstacles is planned ' +
+                        'and shortcut. Pass planner_seed to reproduce a path; NO_PATH_FOUND is returned if none is found within max_iterations.'
                 },
                 workspace: {
                     floor_height: 0,
                     bounds: { x: [-0.8, 0.8], y: [0.05, 0.95], z: [-0.8, 0.8] }
                 },
-                current_state: {
-                    holding_object: armState.attachedObject,
-                    magnet_on: armState.magnetOn
-                },
                 hint: 'Use discover_objects to get current object positions'
             };
 
-        case 'take_screenshot':
-            return 'SCREENSHOT_REQUEST';
-
-        // Async task tools return promises
-        case 'pick_object':
-        case 'carry_to':
-        case 'place_object':
-        case 'dance':
-        case 'reset_to_base':
-            return 'ASYNC_TASK';
-
         default:
-            return { success: false, error: `Unknown tool: ${name}` };
+            // Motion tools run through the task queue (see dispatchTool)
+            return { success: false, message: `Unknown tool: ${name}`, error_code: 'UNKNOWN_TOOL' };
     }
 }
 
-async function executeAsyncTool(name, args) {
+async function executeAsyncTool(arm, name, args) {
     switch (name) {
         case 'pick_object':
-            return await executePickObject(args.object_id);
+            return await executePickObject(arm, args.object_id, args.speed_scale ?? 1, args.planner_seed, args.max_attempts);
         case 'carry_to':
-            return await executeCarryTo(args.x, args.y, args.z);
+            return await executeCarryTo(arm, args.x, args.y, args.z, args.orientation, args.speed_scale ?? 1, args.planner_seed);
         case 'place_object':
-            return await executePlaceObject(args);
+            return await executePlaceObject(arm, args);
+        case 'move_linear':
+            return await executeMoveLinear(arm, args);
         case 'dance':
-            return await executeDance(args.duration_seconds || 5);
+            return await executeDance(arm, args.duration_seconds || 5);
         case 'reset_to_base':
-            return await executeResetToBase();
+            return await executeResetToBase(arm, args.speed_scale ?? 1);
+        case 'go_to_pose':
+            return await executeGoToPose(arm, args);
+        case 'run_program':
+            return await executeRunProgram(arm, args);
         default:
             return { success: false, error: `Unknown async tool: ${name}` };
     }
 }
 
+// ============================================================================
+// MCP RESOURCES AND PROMPTS
+// ============================================================================
+
+// Read-only views of the simulation. Subscribers are notified when a
+// resource's content changes, whatever changed it (tasks, the simulation,
+// browser drags, scene edits).
+const RESOURCE_UPDATE_MS = 250;
+
+const mcpResources = [
+    {
+        uri: 'robot://state',
+        name: 'Arm state',
+        description: 'Joint angles, end effector pose, magnet, held object and the running task of the first arm (same as get_arm_state)',
+        mimeType: 'application/json',
+        read: () => getArmState(currentWorld().arms[0])
+    },
+    {
+        uri: 'robot://scene/objects',
+        name: 'Scene objects',
+        description: 'Every object with type, position, size, mass, color and magnetic flag (same as discover_objects)',
+        mimeType: 'application/json',
+        read: () => ({ objects: currentWorld().state.objects.map(describeObject) })
+    },
+    {
+        uri: 'robot://environment',
+        name: 'Environment',
+        description: 'Coordinate system, arm geometry and bases, joint and motion limits, collision model and workspace bounds (same as get_environment_info)',
+        mimeType: 'application/json',
+        read: () => executeTool('get_environment_info', {})
+    }
+];
+
+const mcpResourceTemplates = [
+    {
+        uriTemplate: 'robot://arms/{id}',
+        name: 'Arm state by id',
+        description: 'State of one arm (same as get_arm_state with arm_id)',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'robot://tasks/{id}',
+        name: 'Motion task',
+        description: 'Status, progress and result of a motion task (task_id from a tool result)',
+        mimeType: 'application/json'
+    }
+];
+
+// Current content of a resource URI, or null if there is no such resource
+function readResource(uri) {
+    const world = currentWorld();
+    const resource = mcpResources.find(r => r.uri === uri);
+    if (resource) return resource.read();
+
+    const armMatch = /^robot:\/\/arms\/([^/]+)$/.exec(uri);
+    const arm = armMatch && world.arms.find(a => a.id === armMatch[1]);
+    if (arm) return getArmState(arm);
+
+    const taskMatch = /^robot:\/\/tasks\/([^/]+)$/.exec(uri);
+    const task = taskMatch && world.tasks.get(taskMatch[1]);
+    return task ? describeTask(task) : null;
+}
+
+const resourceSnapshots = new Map(); // '<world id> <uri>' -> JSON last seen by subscribers
+
+// A resource is read in each world that has subscribers to it
+function flushResourceUpdates() {
+    const subscribed = new Map(); // '<world id> <uri>' -> { world, uri, sessions }
+    mcpSessions.forEach(session => session.subscriptions.forEach(uri => {
+        const key = `${session.world.id} ${uri}`;
+        if (!subscribed.has(key)) subscribed.set(key, { world: session.world, uri, sessions: [] });
+        subscribed.get(key).sessions.push(session);
+    }));
+
+    for (const [key, { world, uri, sessions }] of subscribed) {
+        const content = inWorld(world, () => readResource(uri));
+        const snapshot = content === null ? null : JSON.stringify(content);
+        if (resourceSnapshots.has(key) && resourceSnapshots.get(key) !== snapshot) {
+            sessions.forEach(session => session.notify('notifications/resources/updated', { uri }));
+        }
+        resourceSnapshots.set(key, snapshot);
+    }
+
+    // Forget snapshots nobody watches any more
+    [...resourceSnapshots.keys()].filter(key => !subscribed.has(key)).forEach(key => resourceSnapshots.delete(key));
+}
+
+setInterval(flushResourceUpdates, RESOURCE_UPDATE_MS).unref();
+
+// Prompt templates walking an agent through discovery -> pick -> place.
+// Each returns the user message text for the given (string) arguments.
+const PLACE_HINT = 'place_object moves the magnet to (x, y, z) and releases; the object hangs ' +
+    `${ARM_CONFIG.heldObjectOffset} m below the magnet and falls, so use y = resting height of the object's centre + ${ARM_CONFIG.heldObjectOffset} + 0.01.`;
+
+const ERROR_HINT = 'If a task fails, read error_code: NOT_MAGNETIC means skip the object; NO_PATH_FOUND or COLLISION - ' +
+    'try a different target or planner_seed; OUT_OF_REACH - choose a point closer to the base (reach is about ' +
+    `${ARM_CONFIG.reachRadius} m); PICK_FAILED - check the object with discover_objects and pick again; ` +
+    'PLACE_UNSTABLE - the object did not land on what was below it, see details.final_pose and details.expected_support.';
+
+const mcpPrompts = [
+    {
+        name: 'sort_objects_by_color',
+        description: 'Group the magnetic objects into rows by color',
+        arguments: [
+            { name: 'row_z', description: 'z coordinate of the first row (default 0.35)', required: false },
+            { name: 'spacing', description: 'Distance between objects and between rows in meters (default 0.1)', required: false }
+        ],
+        text: ({ row_z = '0.35', spacing = '0.1' }) => [
+            'Sort the objects on the table by color.',
+            '1. Read the scene objects (attached below, or call discover_objects) and group the magnetic ones by color. Leave non-magnetic objects where they are.',
+            `2. Give each color its own row: the first row at z = ${row_z}, each further row ${spacing} m further from the base, objects ${spacing} m apart along x starting at x = -0.2.`,
+            '3. For each object: pick_object, then place_object at its slot. Skip an object that is already in the right slot.',
+            `   ${PLACE_HINT}`,
+            '4. Call discover_objects at the end and check that every object is in its row; fix any that are not.',
+            ERROR_HINT
+        ].join('\n')
+    },
+    {
+        name: 'stack_all_cubes',
+        description: 'Stack every magnetic cube into a single tower, largest at the bottom',
+        arguments: [
+            { name: 'x', description: 'x coordinate of the tower (default: where the largest cube is)', required: false },
+            { name: 'z', description: 'z coordinate of the tower (default: where the largest cube is)', required: false }
+        ],
+        text: ({ x, z }) => [
+            'Stack all the cubes into one tower.',
+            '1. Read the scene objects (attached below, or call discover_objects) and list the magnetic cubes, largest first.',
+            x !== undefined && z !== undefined
+                ? `2. Move the largest cube to (${x}, ${z}) first: pick_object, then place_object there.`
+                : '2. The largest cube stays where it is and is the base of the tower.',
+            '3. For each remaining cube, largest to smallest: pick_object, then place_object directly above the tower. ' +
+                'The top of the tower is the sum of the cube sizes placed so far, so the new cube rests with its centre at that height + size/2.',
+            `   ${PLACE_HINT}`,
+            '4. After each placement check final_pose in the result: the cube should rest on the cube below it. If it fell off (PLACE_UNSTABLE), pick it up and try again with speed_scale 0.3.',
+            ERROR_HINT
+        ].join('\n')
+    },
+    {
+        name: 'pick_and_place',
+        description: 'Move one object to a position on the table',
+        arguments: [
+            { name: 'object_id', description: 'ID of the object to move', required: true },
+            { name: 'x', description: 'Target x coordinate', required: true },
+            { name: 'z', description: 'Target z coordinate', required: true }
+        ],
+        text: ({ object_id, x, z }) => [
+            `Move '${object_id}' to (${x}, ${z}) on the table.`,
+            `1. Find '${object_id}' in the scene objects (attached below, or call discover_objects) and note its size and whether it is magnetic.`,
+            `2. pick_object with object_id '${object_id}'.`,
+            `3. place_object at x = ${x}, z = ${z}. ${PLACE_HINT}`,
+            `4. Call discover_objects and confirm '${object_id}' is at the target.`,
+            ERROR_HINT
+        ].join('\n')
+    }
+];
+
+// prompts/get result: the instructions plus the current scene as an embedded resource
+function getPrompt(name, args = {}) {
+    const prompt = mcpPrompts.find(p => p.name === name);
+    if (!prompt) return null;
+
+    const missing = prompt.arguments.filter(a => a.required && args[a.name] === undefined).map(a => a.name);
+    if (missing.length > 0) {
+        throw new Error(`Missing required argument(s): ${missing.join(', ')}`);
+    }
+
+    return {
+        description: prompt.description,
+        messages: [
+            { role: 'user', content: { type: 'text', text: prompt.text(args) } },
+            {
+                role: 'user',
+                content: {
+                    type: 'resource',
+                    resource: {
+                        uri: 'robot://scene/objects',
+                        mimeType: 'application/json',
+                        text: JSON.stringify(readResource('robot://scene/objects'), null, 2)
+                    }
+                }
+            }
+        ]
+    };
+}
+
 // ============================================================================
 // CLIENT CONNECTIONS
 // ============================================================================
@@ -562,46 +5852,120 @@ async function executeAsyncTool(name, args) {
 const uiClients = new Set();
 const mcpSessions = new Map();
 
-function broadcastCommand(command) {
-    const data = JSON.stringify({ command });
-    uiClients.forEach(client => {
+function writeToUis(clients, event) {
+    const data = JSON.stringify(event);
+    clients.forEach(client => {
         if (!client.writableEnded) {
             client.write(`data: ${data}\n\n`);
         }
     });
 }
 
+// Browsers watch one world each (/api/events?world=)
+function sendToUi(event) {
+    const world = currentWorld();
+    writeToUis([...uiClients].filter(client => client.locals.world === world), event);
+}
+
+// Every browser's world picker lists the open worlds
+// Each browser hears only of the worlds its key may use
+function visibleWorlds(principal) {
+    return [...worlds.values()].filter(world => mayUseWorld(principal, world)).map(world => world.id);
+}
+
+function broadcastWorlds() {
+    uiClients.forEach(client => writeToUis([client], { type: 'worlds', worlds: visibleWorlds(client.locals.principal) }));
+}
+
+// Live updates; held back from browsers while a recording is replayed
+function broadcastEvent(event) {
+    if (!currentWorld().replay) sendToUi(event);
+}
+
+function broadcastCommand(command) {
+    record('command', { command });
+    broadcastEvent({ command });
+}
+
+// Full object descriptions so browsers can add, remove and rebuild bodies
+function broadcastScene() {
+    const objects = currentWorld().state.objects.map(describeObject);
+    record('scene', { objects });
+    broadcastEvent({ type: 'scene', objects });
+}
+
+function broadcastState() {
+    const state = getSimSnapshot();
+    record('state', state);
+    broadcastEvent({ type: 'state', state });
+}
+
+// A loaded scene replaces everything: browsers drop all bodies and snap the arm
+function broadcastSceneLoaded(name) {
+    const event = {
+        type: 'scene_loaded',
+        name,
+        objects: currentWorld().state.objects.map(describeObject),
+        state: getSimSnapshot()
+    };
+    record('scene_loaded', { name, objects: event.objects, state: event.state });
+    broadcastEvent(event);
+}
+
 // Screenshot handling
 const pendingScreenshots = new Map();
+const SCREENSHOT_TIMEOUT_MS = 8000;
+const SCREENSHOT_VIEW_TIMEOUT_MS = 2000;
+
+// Splits a browser data URL into its MIME type and base64 payload, checking
+// the browser produced the requested format (some can't encode JPEG)
+function parseImageDataUrl(dataUrl, format) {
+    const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl || '');
+    if (!match) throw new Error('Browser sent an invalid image');
+    if (match[1] !== format) throw new Error(`Browser returned ${match[1]} instead of ${format}`);
+    return { mimeType: match[1], data: match[2] };
+}
+
+/**
+ * Asks the first browser watching the current world to render a screenshotRequest() and
+ * resolves with one { camera, mimeType, data (base64) } per view. Outcomes are
+ * logged in the caller's context.
+ */
+function requestScreenshot(request) {
+    const context = requestContext.getStore();
+    const startTime = Date.now();
+
+    return new Promise((resolvePromise, rejectPromise) => {
+        const resolve = images => requestContext.run(context, () => {
+            observeMetric('robo_screenshot_duration_seconds', {}, (Date.now() - startTime) / 1000);
+            log('info', 'Screenshot received', { screenshot_id: requestId, views: images.length, duration_ms: Date.now() - startTime });
+            resolvePromise(images);
+        });
+        const reject = (error, reason = 'browser_error') => requestContext.run(context, () => {
+            incMetric('robo_screenshot_failures_total', { reason });
+            log('warn', 'Screenshot failed', { screenshot_id: requestId, reason, error: error.message });
+            rejectPromise(error);
+        });
 
-function requestScreenshot(width = 800, height = 600) {
-    return new Promise((resolve, reject) => {
-        if (uiClients.size === 0) {
-            reject(new Error('No browser UI connected'));
+        const requestId = randomUUID();
+        const world = currentWorld();
+        const client = [...uiClients].find(ui => ui.locals.world === world && !ui.writableEnded);
+        if (!client) {
+            reject(new Error(world === defaultWorld ? 'No browser UI connected' : `No browser UI is watching world '${world.id}'`), 'no_ui');
             return;
         }
 
-        const requestId = randomUUID();
         const timeout = setTimeout(() => {
             pendingScreenshots.delete(requestId);
-            reject(new Error('Screenshot timeout'));
-        }, 10000);
-
-        pendingScreenshots.set(requestId, { resolve, reject, timeout });
+            reject(new Error('Screenshot timeout'), 'timeout');
+        }, SCREENSHOT_TIMEOUT_MS + SCREENSHOT_VIEW_TIMEOUT_MS * request.views.length);
 
-        const request = JSON.stringify({
-            type: 'screenshot_request',
-            requestId,
-            width,
-            height
+        pendingScreenshots.set(requestId, { resolve, reject, timeout, views: request.views.map(v => v.camera), format: request.format });
+        log('debug', 'Screenshot requested', {
+            screenshot_id: requestId, width: request.width, height: request.height, cameras: request.views.map(v => v.camera), format: request.format
         });
 
-        for (const client of uiClients) {
-            if (!client.writableEnded) {
-                client.write(`data: ${request}\n\n`);
-                break;
-            }
-        }
+        writeToUis([client], { type: 'screenshot_request', requestId, ...request });
     });
 }
 
@@ -609,11 +5973,30 @@ function requestScreenshot(width = 800, height = 600) {
 // MCP ENDPOINT
 // ============================================================================
 
+// Two transports share handleMcpMessage:
+//  - Streamable HTTP (current spec): POST /mcp carries one message or a batch
+//    and gets JSON or an SSE stream back; a session starts with initialize
+//    (Mcp-Session-Id response header), GET /mcp opens a notification stream
+//    and DELETE /mcp ends the session.
+//  - Legacy HTTP+SSE (2024-11-05): GET /mcp without a session header (or
+//    GET /sse) opens a stream whose `endpoint` event names the URL to POST
+//    to; responses go back over that stream.
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MCP_SESSION_IDLE_MS = 30 * 60 * 1000;
+
 class MCPSession {
-    constructor(id) {
+    constructor(id, transport, principal) {
         this.id = id;
+        this.transport = transport; // 'streamable' | 'legacy'
+        this.principal = principal; // the API key that opened it (see authenticate)
         this.sseResponse = null;
         this.initialized = false;
+        this.protocolVersion = null;
+        this.lastActivity = Date.now();
+        this.subscriptions = new Set(); // resource URIs
+        this.world = null;              // set by joinWorld
+        this.pendingRequests = new Set();   // ids of requests still being handled
+        this.cancelledRequests = new Set(); // pending ids cancelled by notifications/cancelled; their responses are dropped
     }
 
     sendSSE(event, data) {
@@ -621,134 +6004,415 @@ class MCPSession {
             this.sseResponse.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
         }
     }
+
+    // JSON-RPC notification over the session's SSE stream (dropped if none is open)
+    notify(method, params) {
+        this.sendSSE('message', { jsonrpc: '2.0', method, params });
+    }
+
+    close() {
+        if (this.sseResponse && !this.sseResponse.writableEnded) {
+            this.sseResponse.end();
+        }
+        if (mcpSessions.delete(this.id)) {
+            log('info', 'MCP session closed', { session_id: this.id, transport: this.transport });
+            leaveWorld(this);
+        }
+    }
+}
+
+// The single session of the stdio transport: every message, response and
+// notification is one line of JSON on stdout
+class StdioSession extends MCPSession {
+    constructor() {
+        // The host that launched the process is trusted
+        super('stdio', 'stdio', { id: 'stdio', scope: 'admin', reporter: false });
+    }
+
+    send(message) {
+        process.stdout.write(JSON.stringify(message) + '\n');
+    }
+
+    notify(method, params) {
+        this.send({ jsonrpc: '2.0', method, params });
+    }
 }
 
-app.get('/mcp', (req, res) => {
-    const sessionId = randomUUID();
-    const session = new MCPSession(sessionId);
-    mcpSessions.set(sessionId, session);
+function jsonRpcError(code, message, id = null) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+}
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Mcp-Session-Id', sessionId);
+function openSSE(res, headers = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        ...headers
+    });
+}
+
+const isRequest = message => message && typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+
+// First tools/call in a POST that the caller's key may not make
+function forbiddenToolCall(messages, principal) {
+    return messages.find(m => m?.method === 'tools/call' && !hasScope(principal, toolScope(m.params?.name)));
+}
+
+// Rejects a POST whose session was opened with another key, or that calls a tool beyond the key's scope
+function checkMcpAccess(req, res, session, messages) {
+    if (session && session.principal.id !== req.principal.id) {
+        res.status(403).json(jsonRpcError(-32000, 'Session belongs to another API key'));
+        return false;
+    }
+    const denied = forbiddenToolCall(messages, req.principal);
+    if (denied) {
+        const scope = toolScope(denied.params.name);
+        res.json(jsonRpcError(-32000, rejectAuth(res, 403, `Calling ${denied.params.name} requires the '${scope}' scope`, scope), denied.id ?? null));
+        return false;
+    }
+    return true;
+}
+
+// Long motion tasks are worth streaming: the client sees progress before the result
+function isLongRunning(message) {
+    return message.method === 'tools/call' && TASK_TOOLS.includes(message.params?.name);
+}
+
+// Runs every message of a POST; notifications and requests the client
+// cancelled meanwhile produce no response
+async function handleMcpBatch(messages, session, notify) {
+    const responses = await Promise.all(messages.map(message => {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return jsonRpcError(-32600, 'Invalid Request');
+        }
+        if (message.method === undefined) return null; // a response to us - we send no requests
+        return withLogContext({ ...session.world.context, session_id: session.id, mcp_request_id: message.id ?? null }, async () => {
+            log('debug', 'MCP message', { method: message.method });
+            if (!isRequest(message)) return handleMcpMessage(message, session, notify);
+
+            session.pendingRequests.add(message.id);
+            try {
+                const response = await handleMcpMessage(message, session, notify);
+                if (!session.cancelledRequests.delete(message.id)) return response;
+                log('debug', 'Dropped the response to a cancelled request');
+                return null;
+            } finally {
+                session.pendingRequests.delete(message.id);
+            }
+        });
+    }));
+    return responses.filter(Boolean);
+}
+
+// Idle streamable sessions expire; legacy ones end with their SSE stream
+setInterval(() => {
+    const cutoff = Date.now() - MCP_SESSION_IDLE_MS;
+    mcpSessions.forEach(session => {
+        if (session.transport === 'streamable' && session.lastActivity < cutoff && !session.sseResponse) {
+            session.close();
+        }
+    });
+}, 60 * 1000).unref();
+
+// X-World-Id / X-World-Scene headers, or ?world= and ?scene=, choose a new session's world (see WORLDS)
+function requestedWorld(req) {
+    const profile = req.headers['x-fault-profile'] ?? req.query.faults;
+    const seed = req.headers['x-fault-seed'] ?? req.query.fault_seed;
+    return {
+        worldId: req.headers['x-world-id'] ?? req.query.world,
+        sceneName: req.headers['x-world-scene'] ?? req.query.scene,
+        faults: profile === undefined ? null : { profile, seed: seed === undefined ? undefined : Number(seed) }
+    };
+}
+
+// Opens a session in the world the request asks for; answers the error and returns null if it can't
+function openMcpSession(req, res, transport, requestId = null) {
+    const session = new MCPSession(randomUUID(), transport, req.principal);
+    const { worldId, sceneName, faults } = requestedWorld(req);
+    if (faults && !hasScope(req.principal, 'admin')) {
+        const message = rejectAuth(res, 403, 'Setting a fault profile (X-Fault-Profile) requires the \'admin\' scope', 'admin');
+        res.json(jsonRpcError(-32000, message, requestId));
+        return null;
+    }
+    try {
+        joinWorld(session, worldId, sceneName, faults);
+    } catch (error) {
+        const status = { SCENE_NOT_FOUND: 404, WORLD_FORBIDDEN: 403, TOO_MANY_WORLDS: 503, FAULT_PROFILE_CONFLICT: 409 }[error.code] ?? 400;
+        res.status(status).json(jsonRpcError(-32000, error.message, requestId));
+        return null;
+    }
+    mcpSessions.set(session.id, session);
+    log('info', 'MCP session opened', { session_id: session.id, transport, key: req.principal.id, world_id: session.world.id });
+    return session;
+}
+
+function openLegacyStream(req, res) {
+    const session = openMcpSession(req, res, 'legacy');
+    if (!session) return;
 
+    openSSE(res, { 'Mcp-Session-Id': session.id });
     session.sseResponse = res;
-    session.sendSSE('endpoint', `/mcp?sessionId=${sessionId}`);
+    session.sendSSE('endpoint', `/mcp?sessionId=${session.id}`);
 
     req.on('close', () => {
-        mcpSessions.delete(sessionId);
+        session.sseResponse = null;
+        session.close();
     });
-});
+}
+
+const mcpAuth = requireScope('read', { mcp: true });
+
+app.get('/sse', mcpAuth, openLegacyStream);
+
+app.get('/mcp', mcpAuth, (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+        return openLegacyStream(req, res);
+    }
+
+    // Streamable HTTP: stream for server-initiated notifications
+    const session = mcpSessions.get(sessionId);
+    if (!session || session.transport !== 'streamable') {
+        return res.status(404).json(jsonRpcError(-32001, 'Session not found'));
+    }
+    if (!checkMcpAccess(req, res, session, [])) return;
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+        return res.status(405).set('Allow', 'POST, DELETE').json(jsonRpcError(-32000, 'GET requires Accept: text/event-stream'));
+    }
 
-app.post('/mcp', async (req, res) => {
-    const sessionId = req.query.sessionId || req.headers['mcp-session-id'];
-    const message = req.body;
+    if (session.sseResponse) session.sseResponse.end(); // one stream per session
+    openSSE(res);
+    session.sseResponse = res;
+    req.on('close', () => {
+        if (session.sseResponse === res) session.sseResponse = null;
+    });
+});
 
-    let session = sessionId ? mcpSessions.get(sessionId) : null;
-    if (!session) {
-        session = new MCPSession(randomUUID());
+app.post('/mcp', mcpAuth, async (req, res) => {
+    // Legacy transport: answer on the session's SSE stream
+    if (req.query.sessionId) {
+        const session = mcpSessions.get(req.query.sessionId);
+        if (!session || session.transport !== 'legacy') {
+            return res.status(404).json(jsonRpcError(-32001, 'Session not found'));
+        }
+        const messages = Array.isArray(req.body) ? req.body : [req.body];
+        if (!checkMcpAccess(req, res, session, messages)) return;
+        res.status(202).end();
+        const responses = await handleMcpBatch(messages, session, session.notify.bind(session));
+        responses.forEach(response => session.sendSSE('message', response));
+        return;
     }
 
-    const response = await handleMcpMessage(message, session);
+    const batch = Array.isArray(req.body);
+    const messages = batch ? req.body : [req.body];
+    if (messages.length === 0) {
+        return res.status(400).json(jsonRpcError(-32600, 'Invalid Request: empty batch'));
+    }
 
-    if (!sessionId && session.id) {
+    const sessionId = req.headers['mcp-session-id'];
+    const initialize = messages.find(m => m?.method === 'initialize');
+    let session;
+    if (initialize) {
+        if (batch) {
+            return res.status(400).json(jsonRpcError(-32600, 'initialize must not be part of a batch', initialize.id ?? null));
+        }
+        session = openMcpSession(req, res, 'streamable', initialize.id ?? null);
+        if (!session) return;
         res.setHeader('Mcp-Session-Id', session.id);
+    } else {
+        if (!sessionId) {
+            return res.status(400).json(jsonRpcError(-32000, 'Bad Request: Mcp-Session-Id header is required'));
+        }
+        session = mcpSessions.get(sessionId);
+        if (!session || session.transport !== 'streamable') {
+            return res.status(404).json(jsonRpcError(-32001, 'Session not found'));
+        }
+        const version = req.headers['mcp-protocol-version'];
+        if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+            return res.status(400).json(jsonRpcError(-32000, `Unsupported MCP-Protocol-Version: ${version}`));
+        }
+    }
+    if (!checkMcpAccess(req, res, session, messages)) return;
+    session.lastActivity = Date.now();
+
+    // Only notifications and responses - nothing to answer
+    if (!messages.some(isRequest)) {
+        await handleMcpBatch(messages, session, session.notify.bind(session));
+        return res.status(202).end();
+    }
+
+    // Stream when the client accepts it and a call may take a while
+    const stream = (req.headers.accept || '').includes('text/event-stream') && messages.some(m => isRequest(m) && isLongRunning(m));
+    if (!stream) {
+        const responses = await handleMcpBatch(messages, session, session.notify.bind(session));
+        if (responses.length === 0) return res.status(202).end(); // every request was cancelled
+        return res.json(batch ? responses : responses[0]);
     }
 
-    res.json(response);
+    openSSE(res);
+    const send = message => {
+        if (!res.writableEnded) res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    };
+    const responses = await handleMcpBatch(messages, session, (method, params) => send({ jsonrpc: '2.0', method, params }));
+    if (batch && responses.length > 0) {
+        send(responses);
+    } else {
+        responses.forEach(send);
+    }
+    res.end();
+});
+
+app.delete('/mcp', mcpAuth, (req, res) => {
+    const session = mcpSessions.get(req.headers['mcp-session-id']);
+    if (!session || session.transport !== 'streamable') {
+        return res.status(404).json(jsonRpcError(-32001, 'Session not found'));
+    }
+    if (!checkMcpAccess(req, res, session, [])) return;
+    session.close();
+    res.status(204).end();
+});
+
+// Malformed JSON bodies get a JSON-RPC parse error instead of Express's HTML page
+app.use('/mcp', (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json(jsonRpcError(-32700, 'Parse error'));
+    }
+    next(err);
 });
 
-async function handleMcpMessage(message, session) {
+/**
+ * Handles one JSON-RPC message. Returns the response, or null for a
+ * notification. notify(method, params) sends notifications tied to this
+ * request (progress) on whatever stream the transport has for it.
+ */
+async function handleMcpMessage(message, session, notify = session.notify.bind(session)) {
     const { jsonrpc, id, method, params } = message;
+    const isNotification = id === undefined || id === null;
 
     if (jsonrpc !== '2.0') {
-        return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid Request' } };
+        return isNotification ? null : jsonRpcError(-32600, 'Invalid Request', id);
+    }
+
+    if (isNotification) {
+        handleMcpNotification(method, params, session);
+        return null;
     }
 
     switch (method) {
-        case 'initialize':
+        case 'initialize': {
+            // Echo the client's version when supported, otherwise offer our latest
+            const requested = params?.protocolVersion;
+            session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
             session.initialized = true;
             return {
                 jsonrpc: '2.0',
                 id,
                 result: {
-                    protocolVersion: '2024-11-05',
-                    capabilities: { tools: { listChanged: true } },
+                    protocolVersion: session.protocolVersion,
+                    capabilities: {
+                        tools: { listChanged: true },
+                        resources: { subscribe: true, listChanged: false },
+                        prompts: { listChanged: false }
+                    },
                     serverInfo: { name: 'robo-demo', version: '2.0.0' }
                 }
             };
-
-        case 'initialized':
-            return { jsonrpc: '2.0', id, result: {} };
+        }
 
         case 'tools/list':
-            return { jsonrpc: '2.0', id, result: { tools: mcpTools } };
+            // Only the tools this session's key may call
+            return { jsonrpc: '2.0', id, result: { tools: mcpTools.filter(tool => hasScope(session.principal, toolScope(tool.name))) } };
 
-        case 'tools/call': {
-            const { name, arguments: args } = params || {};
-            if (!name) {
-                return { jsonrpc: '2.0', id, error: { code: -32602, message: 'Missing tool name' } };
-            }
+        case 'resources/list':
+            return {
+                jsonrpc: '2.0',
+                id,
+                result: { resources: mcpResources.map(({ read, ...resource }) => resource) }
+            };
 
-            if (name === 'take_screenshot') {
-                try {
-                    const width = args?.width || 800;
-                    const height = args?.height || 600;
-                    const imageData = await requestScreenshot(width, height);
-                    return {
-                        jsonrpc: '2.0',
-                        id,
-                        result: {
-                            content: [{
-                                type: 'image',
-                                data: imageData,
-                                mimeType: 'image/png'
-                            }]
-                        }
-                    };
-                } catch (error) {
-                    return {
-                        jsonrpc: '2.0',
-                        id,
-                        result: {
-                            content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }]
-                        }
-                    };
-                }
-            }
+        case 'resources/templates/list':
+            return { jsonrpc: '2.0', id, result: { resourceTemplates: mcpResourceTemplates } };
 
-            const result = executeTool(name, args || {});
+        case 'resources/read': {
+            const uri = params?.uri;
+            const content = readResource(uri);
+            if (content === null) {
+                return jsonRpcError(-32002, `Resource not found: ${uri}`, id);
+            }
+            return {
+                jsonrpc: '2.0',
+                id,
+                result: { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(content, null, 2) }] }
+            };
+        }
 
-            // Handle async task tools
-            if (result === 'ASYNC_TASK') {
-                try {
-                    const asyncResult = await executeAsyncTool(name, args || {});
-                    return {
-                        jsonrpc: '2.0',
-                        id,
-                        result: {
-                            content: [{ type: 'text', text: JSON.stringify(asyncResult, null, 2) }]
-                        }
-                    };
-                } catch (error) {
-                    return {
-                        jsonrpc: '2.0',
-                        id,
-                        result: {
-                            content: [{ type: 'text', text: JSON.stringify({ success: false, error: error.message }) }]
-                        }
-                    };
-                }
+        case 'resources/subscribe':
+        case 'resources/unsubscribe': {
+            const uri = params?.uri;
+            if (readResource(uri) === null) {
+                return jsonRpcError(-32002, `Resource not found: ${uri}`, id);
+            }
+            if (method === 'resources/subscribe') {
+                session.subscriptions.add(uri);
+            } else {
+                session.subscriptions.delete(uri);
             }
+            return { jsonrpc: '2.0', id, result: {} };
+        }
 
+        case 'prompts/list':
             return {
                 jsonrpc: '2.0',
                 id,
-                result: {
-                    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-                }
+                result: { prompts: mcpPrompts.map(({ name, description, arguments: args }) => ({ name, description, arguments: args })) }
             };
+
+        case 'prompts/get': {
+            try {
+                const prompt = getPrompt(params?.name, params?.arguments);
+                if (!prompt) {
+                    return jsonRpcError(-32602, `Unknown prompt: ${params?.name}`, id);
+                }
+                return { jsonrpc: '2.0', id, result: prompt };
+            } catch (error) {
+                return jsonRpcError(-32602, error.message, id);
+            }
+        }
+
+        case 'tools/call': {
+            const { name } = params || {};
+            if (!name) {
+                return { jsonrpc: '2.0', id, error: { code: -32602, message: 'Missing tool name' } };
+            }
+
+            // Progress is reported if the client asked for it; the owner lets it cancel the call
+            const progressToken = params._meta?.progressToken;
+            let outcome;
+            try {
+                outcome = await dispatchTool(name, params.arguments ?? {}, {
+                    owner: { sessionId: session.id, requestId: id },
+                    onProgress: progressToken === undefined ? null
+                        : progress => notify('notifications/progress', { progressToken, ...progress })
+                });
+            } catch (error) {
+                return jsonRpcError(error.code === 'UNKNOWN_TOOL' ? -32602 : -32603, error.message, id);
+            }
+
+            if (outcome.images) {
+                // Several views are captioned so the client knows which is which
+                const multiView = outcome.images.length > 1;
+                return {
+                    jsonrpc: '2.0',
+                    id,
+                    result: {
+                        content: outcome.images.flatMap(({ camera, mimeType, data }) => [
+                            ...(multiView ? [{ type: 'text', text: `Camera: ${camera}` }] : []),
+                            { type: 'image', data, mimeType }
+                        ])
+                    }
+                };
+            }
+            return { jsonrpc: '2.0', id, result: toolCallResult(outcome.result) };
         }
 
         case 'ping':
@@ -759,16 +6423,89 @@ async function handleMcpMessage(message, session) {
     }
 }
 
+function handleMcpNotification(method, params, session) {
+    switch (method) {
+        case 'notifications/initialized':
+        case 'initialized': // pre-release clients
+            session.initialized = true;
+            break;
+
+        case 'notifications/cancelled': {
+            const { requestId, reason } = params || {};
+            if (session.pendingRequests.has(requestId)) session.cancelledRequests.add(requestId);
+            const task = [...currentWorld().tasks.values()].find(t =>
+                t.owner && t.owner.sessionId === session.id && t.owner.requestId === requestId);
+            if (task) {
+                cancelTask(task, reason || 'Cancelled by client');
+            }
+            break;
+        }
+    }
+}
+
+// Newline-delimited JSON-RPC on stdin. Lines are handled concurrently so a
+// cancellation can arrive while a tool call is still running.
+function startStdioTransport() {
+    const session = new StdioSession();
+    joinWorld(session);
+    mcpSessions.set(session.id, session);
+    const notify = session.notify.bind(session);
+    const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+    const pending = new Set(); // lines still being handled
+
+    const handleStdioLine = async line => {
+        if (!line.trim()) return;
+        let body;
+        try {
+            body = JSON.parse(line);
+        } catch (e) {
+            session.send(jsonRpcError(-32700, 'Parse error'));
+            return;
+        }
+
+        const batch = Array.isArray(body);
+        const responses = await handleMcpBatch(batch ? body : [body], session, notify);
+        if (batch && responses.length > 0) {
+            session.send(responses);
+        } else {
+            responses.forEach(response => session.send(response));
+        }
+    };
+
+    lines.on('line', line => {
+        const handled = requestContext.run({ request_id: randomUUID() }, () => handleStdioLine(line));
+        const done = () => pending.delete(handled);
+        pending.add(handled);
+        handled.then(done, done);
+    });
+
+    // The host closing stdin ends the server, once the calls it cancels have
+    // answered, the shared world is saved and stdout has drained
+    lines.on('close', async () => {
+        inWorld(session.world, () => stopAllTasks('stdio transport closed'));
+        await Promise.allSettled(pending);
+        inWorld(defaultWorld, saveState);
+        process.stdout.write('', () => process.exit(0));
+    });
+
+    log('info', 'MCP server running on stdio');
+}
+
 // ============================================================================
 // UI ENDPOINTS
 // ============================================================================
 
-app.get('/api/events', (req, res) => {
+app.get('/api/events', requireScope('read'), (req, res) => {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
 
-    res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+    res.locals.world = currentWorld();
+    res.locals.principal = req.principal;
+    res.write(`data: ${JSON.stringify({ type: 'connected', world: res.locals.world.id })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'worlds', worlds: visibleWorlds(req.principal) })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'scene', objects: currentWorld().state.objects.map(describeObject) })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'state', state: getSimSnapshot() })}\n\n`);
     uiClients.add(res);
 
     req.on('close', () => {
@@ -776,78 +6513,262 @@ app.get('/api/events', (req, res) => {
     });
 });
 
-app.get('/api/state', (req, res) => {
+app.get('/api/state', requireScope('read'), (req, res) => {
+    const { id, arms, state } = currentWorld();
     res.json({
-        jointTargets: [...armState.jointTargets],
-        magnetOn: armState.magnetOn,
-        objects: armState.objects,
-        jointLimits
+        world: id,
+        arms: arms.map(arm => {
+            const fk = forwardKinematics(arm.jointAngles, arm.base);
+            return {
+                id: arm.id,
+                base: describeArm(arm).base,
+                jointAngles: [...arm.jointAngles],
+                jointTargets: [...arm.state.jointTargets],
+                isMoving: !arm.motionComplete,
+                endEffector: { position: fk.endEffector, orientation: fk.orientation },
+                magnetOn: arm.state.magnetOn,
+                attachedObject: arm.state.attachedObject
+            };
+        }),
+        objects: state.objects.map(describeObject),
+        poses: describePoses(),
+        programs: listPrograms(),
+        jointLimits,
+        jointMotionLimits
     });
 });
 
-// Update object positions from browser (for persistence)
-app.post('/api/objects', (req, res) => {
+// Object moves made in the browser (dragging, reset) - the simulation takes it from there
+app.post('/api/objects', requireReporter, (req, res) => {
     const { objects } = req.body;
+    const { state, sim } = currentWorld();
     if (Array.isArray(objects)) {
+        // The simulation tick reads every position, so a malformed one must never reach the world
+        const bad = objects.findIndex(update => {
+            const { x, y, z } = update?.position || {};
+            return ![x, y, z].every(Number.isFinite);
+        });
+        if (bad !== -1) {
+            const error = new TaskError('INVALID_ARGUMENTS', `objects[${bad}].position needs numeric x, y and z`);
+            return sendSceneResult(res, taskFailure(error, Date.now()));
+        }
         // Merge position updates while preserving type/size/color info
         objects.forEach(update => {
-            const existing = armState.objects.find(o => o.id === update.id);
-            if (existing) {
-                existing.position = update.position;
+            const existing = state.objects.find(o => o.id === update.id);
+            if (existing && !isHeld(existing.id)) {
+                const { x, y, z } = update.position;
+                existing.position = { x, y, z };
+                sim.fallSpeeds.delete(existing.id);
             }
         });
+        record('objects', { source: 'browser', objects });
+        sim.dirty = true;
         saveState();
     }
     res.json({ success: true });
 });
 
-// Motion status reporting from browser
-app.post('/api/motion-status', (req, res) => {
-    const { complete, jointAngles } = req.body;
-    motionComplete = complete;
+// Scene editing - same results as the spawn_object/update_object/remove_object tools
+const SCENE_ERROR_STATUS = {
+    OBJECT_NOT_FOUND: 404,
+    DUPLICATE_OBJECT_ID: 409,
+    OBJECT_HELD: 409,
+    OBJECT_OVERLAP: 409,
+    SCENE_NOT_FOUND: 404,
+    SCENE_EXISTS: 409,
+    SCENARIO_NOT_FOUND: 404,
+    ARM_BUSY: 409,
+    RECORDING_NOT_FOUND: 404,
+    RECORDING_EXISTS: 409,
+    RECORDING_ACTIVE: 409
+};
+
+function sendSceneResult(res, result, successStatus = 200) {
+    res.status(result.success ? successStatus : SCENE_ERROR_STATUS[result.error_code] || 400).json(result);
+}
+
+// Calls a tool the way /api/tools/:name does - validated, counted in the
+// metrics, recorded and counted towards a scenario - and answers its result
+async function sendToolResult(res, name, args, successStatus = 200) {
+    const { result } = await dispatchTool(name, args);
+    sendSceneResult(res, result, successStatus);
+}
+
+app.get('/api/scene/objects', requireScope('read'), (req, res) => {
+    res.json({ objects: currentWorld().state.objects.map(describeObject) });
+});
+
+app.post('/api/scene/objects', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'spawn_object', req.body ?? {}, 201);
+});
+
+app.patch('/api/scene/objects/:id', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'update_object', { ...req.body, object_id: req.params.id });
+});
+
+app.delete('/api/scene/objects/:id', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'remove_object', { object_id: req.params.id });
+});
+
+// Back to the default layout (the browser's Reset Objects button)
+app.post('/api/scene/reset', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'reset_scene', {});
+});
+
+// Scene presets - list, save the current scene, load, and export/import scene files
+app.get('/api/scenes', requireScope('read'), (req, res) => {
+    res.json({ scenes: listScenes() });
+});
+
+app.post('/api/scenes', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'save_scene', req.body ?? {}, 201);
+});
 
-    if (complete && motionCompleteResolve) {
-        motionCompleteResolve();
+app.get('/api/scenes/:name', requireScope('read'), (req, res) => {
+    try {
+        res.json(readSceneFile(req.params.name));
+    } catch (error) {
+        sendSceneResult(res, taskFailure(error, Date.now()));
     }
+});
 
-    res.json({ success: true });
+app.put('/api/scenes/:name', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'import_scene', { name: req.params.name, scene: req.body, overwrite: req.query.overwrite === 'true' }, 201);
+});
+
+app.delete('/api/scenes/:name', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'delete_scene', { name: req.params.name });
 });
 
-// Attachment status reporting from browser
-app.post('/api/attachment-status', (req, res) => {
-    const { objectId, attached } = req.body;
+app.post('/api/scenes/:name/load', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'load_scene', { name: req.params.name });
+});
 
-    if (attached) {
-        armState.attachedObject = objectId;
-        if (attachmentResolve) {
-            attachmentResolve(objectId);
-        }
-    } else if (armState.attachedObject === objectId) {
-        armState.attachedObject = null;
+// Fault profile of the world and every fault it injected; PUT takes set_fault_profile's arguments
+app.get('/api/faults', requireScope('read'), (req, res) => {
+    res.json(describeFaults());
+});
+
+app.put('/api/faults', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'set_fault_profile', req.body ?? {});
+});
+
+// Scenarios - list, export, start, and the current run's report
+app.get('/api/scenarios', requireScope('read'), (req, res) => {
+    res.json({ scenarios: listScenarios() });
+});
+
+app.get('/api/scenarios/:name', requireScope('read'), (req, res) => {
+    try {
+        const file = scenarioFile(req.params.name);
+        if (!existsSync(file)) throw new TaskError('SCENARIO_NOT_FOUND', `Scenario '${req.params.name}' not found`);
+        res.type('json').send(readFileSync(file, 'utf-8'));
+    } catch (error) {
+        sendSceneResult(res, taskFailure(error, Date.now()));
     }
+});
 
-    saveState();
-    res.json({ success: true });
+app.post('/api/scenarios/:name/start', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'start_scenario', { name: req.params.name });
 });
 
-app.post('/api/tools/:name', (req, res) => {
-    const tool = mcpTools.find(t => t.name === req.params.name);
-    if (!tool) {
-        return res.status(404).json({ error: 'Tool not found' });
+// The report as evaluate_scenario gives it; 200 whether or not the goal was met
+app.get('/api/scenario/report', requireScope('read'), async (req, res) => {
+    const { result: report } = await dispatchTool('evaluate_scenario', {});
+    res.status(report.error_code === 'NO_SCENARIO' ? 404 : 200).json(report);
+});
+
+// Recordings - listing, raw JSONL and joint-angle CSV downloads, replay
+app.get('/api/recordings', requireScope('read'), (req, res) => {
+    res.json(executeTool('list_recordings', {}));
+});
+
+app.get('/api/recordings/:name', requireScope('read'), (req, res) => {
+    try {
+        readRecording(req.params.name);
+        res.type('application/x-ndjson').sendFile(recordingFile(req.params.name));
+    } catch (error) {
+        sendSceneResult(res, taskFailure(error, Date.now()));
+    }
+});
+
+app.get('/api/recordings/:name/csv', requireScope('read'), (req, res) => {
+    try {
+        res.type('text/csv')
+            .attachment(`${req.params.name}.csv`)
+            .send(recordingCsv(req.params.name));
+    } catch (error) {
+        sendSceneResult(res, taskFailure(error, Date.now()));
+    }
+});
+
+// Body or query ?speed= (default 1x)
+app.post('/api/recordings/:name/replay', requireScope('admin'), async (req, res) => {
+    const speed = req.body?.speed ?? (req.query.speed !== undefined ? Number(req.query.speed) : undefined);
+    const { result } = await dispatchTool('replay_recording', { name: req.params.name, ...(speed !== undefined && { speed }) });
+    sendSceneResult(res, result);
+});
+
+app.delete('/api/recordings/:name', requireScope('admin'), (req, res) => {
+    return sendToolResult(res, 'delete_recording', { name: req.params.name });
+});
+
+const TOOL_ERROR_STATUS = {
+    INVALID_ARGUMENTS: 400,
+    ARM_BUSY: 409,
+    TASK_QUEUE_FULL: 429,
+    SCENARIO_LIMIT_EXCEEDED: 429,
+    SCREENSHOT_FAILED: 503
+};
+
+// Blocks until the tool has finished, or with ?async=true answers 202 as soon
+// as a motion tool is queued; poll GET /api/tasks/:id for its result
+app.post('/api/tools/:name', requireScope(req => toolScope(req.params.name)), async (req, res) => {
+    let outcome;
+    try {
+        outcome = await dispatchTool(req.params.name, req.body ?? {}, { wait: req.query.async !== 'true' });
+    } catch (error) {
+        return res.status(error.code === 'UNKNOWN_TOOL' ? 404 : 500).json(taskFailure(error, Date.now()));
+    }
+
+    // One view comes back as the image itself, several as JSON
+    if (outcome.images?.length === 1) {
+        const [{ camera, mimeType, data }] = outcome.images;
+        return res.type(mimeType).set('X-Camera', camera).send(Buffer.from(data, 'base64'));
+    }
+    if (outcome.images) {
+        return res.json({ success: true, images: outcome.images });
     }
-    const result = executeTool(req.params.name, req.body);
-    if (result === 'SCREENSHOT_REQUEST') {
-        return res.status(400).json({ error: 'Use MCP endpoint for screenshots' });
+    if (outcome.task) {
+        const location = `/api/tasks/${outcome.task.id}`;
+        return res.status(202).location(location).json({ ...describeTask(outcome.task), poll: location });
     }
-    res.json(result);
+    res.status(TOOL_ERROR_STATUS[outcome.result.error_code] || 200).json(outcome.result);
 });
 
-app.get('/api/tools', (req, res) => {
+// ?arm_id= picks the arm (default: the first)
+app.get('/api/tasks', requireScope('read'), (req, res) => {
+    if (req.query.arm_id !== undefined && !ARM_SPECS.some(arm => arm.id === req.query.arm_id)) {
+        return res.status(404).json({ success: false, message: `Unknown arm '${req.query.arm_id}'`, error_code: 'ARM_NOT_FOUND' });
+    }
+    res.json(executeTool('get_tasks', { arm_id: req.query.arm_id }));
+});
+
+app.get('/api/tasks/:id', requireScope('read'), (req, res) => {
+    const task = currentWorld().tasks.get(req.params.id);
+    if (!task) {
+        return res.status(404).json({ success: false, message: `Task '${req.params.id}' not found`, error_code: 'TASK_NOT_FOUND' });
+    }
+    res.json(describeTask(task));
+});
+
+app.get('/api/tools', requireScope('read'), (req, res) => {
     res.json({ tools: mcpTools });
 });
 
-app.post('/api/screenshot', (req, res) => {
-    const { requestId, imageData, error } = req.body;
+// The browser's answer to a screenshot_request: { requestId, images: [data URL per view] } or { requestId, error }
+app.post('/api/screenshot', requireReporter, (req, res) => {
+    const { requestId, images, error } = req.body;
     const pending = pendingScreenshots.get(requestId);
     if (!pending) {
         return res.status(404).json({ error: 'No pending screenshot request' });
@@ -858,15 +6779,35 @@ app.post('/api/screenshot', (req, res) => {
 
     if (error) {
         pending.reject(new Error(error));
+    } else if (!Array.isArray(images) || images.length !== pending.views.length) {
+        pending.reject(new Error(`Browser sent ${Array.isArray(images) ? images.length : 'no'} images for ${pending.views.length} views`));
     } else {
-        pending.resolve(imageData);
+        try {
+            pending.resolve(images.map((image, i) => ({ camera: pending.views[i], ...parseImageDataUrl(image, pending.format) })));
+        } catch (e) {
+            pending.reject(e);
+        }
     }
 
     res.json({ success: true });
 });
 
+// Prometheus scrape endpoint; point the scrape config at it with a read key as bearer token
+app.get('/metrics', requireScope('read'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Open to health checks; only an admin key sees the world ids
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', uiClients: uiClients.size, mcpSessions: mcpSessions.size });
+    const principal = authenticate(req);
+    res.json({
+        status: 'ok',
+        uiClients: uiClients.size,
+        mcpSessions: mcpSessions.size,
+        worldMode: WORLD_MODE,
+        worldCount: worlds.size,
+        ...(principal && hasScope(principal, 'admin') && { worlds: [...worlds.values()].map(describeWorld) })
+    });
 });
 
 // ============================================================================
@@ -875,11 +6816,70 @@ app.get('/health', (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`
-🤖 Robo Demo Server v2.0
+// Each arm ticks in its current task's log context so motion and magnet events trace back to their tool call
+setInterval(simulationTick, SIM_TICK_MS);
 
-   Web UI:       http://localhost:${PORT}
-   MCP Endpoint: http://localhost:${PORT}/mcp
-`);
-});
+// ============================================================================
+// REACH CHECK
+// ============================================================================
+
+// `node server.js --check-reach` (npm run check:reach) plans pick_object's
+// descent and lift for a cube on rings around each arm, starting from home,
+// and exits with status 1 listing the positions it could not plan. It guards
+// the IK solver and pickOrientation against regressions near the base.
+const REACH_CHECK = process.argv.includes('--check-reach');
+const REACH_CHECK_RADII = [0.28, 0.3, 0.35, 0.4, 0.5, 0.6, 0.7]; // m from the arm's base
+const REACH_CHECK_HEADINGS = 12;
+
+function checkPickReach() {
+    const home = [0, 0, 0, 0, 0, 0];
+    const failures = [];
+    for (const arm of defaultWorld.arms) {
+        for (const radius of REACH_CHECK_RADII) {
+            for (let k = 0; k < REACH_CHECK_HEADINGS; k++) {
+                const heading = 2 * Math.PI * k / REACH_CHECK_HEADINGS;
+                const position = fromArmFrame(arm, { x: radius * Math.sin(heading), y: OBJECT_DEFAULTS.size / 2, z: radius * Math.cos(heading) });
+                const pick = pickPoint({ ...OBJECT_DEFAULTS, type: 'cube', position }, PICK_SEARCH_PATTERN[0]);
+                if (!pickOrientation(arm, pick, home)) {
+                    failures.push({ arm_id: arm.id, position: roundVector(position) });
+                }
+            }
+        }
+    }
+    const checked = defaultWorld.arms.length * REACH_CHECK_RADII.length * REACH_CHECK_HEADINGS;
+    if (failures.length > 0) {
+        log('error', 'Pick positions out of reach', { checked, failed: failures.length, failures });
+        process.exit(1);
+    }
+    log('info', 'Every pick position is within reach', { checked });
+    process.exit(0);
+}
+
+if (REACH_CHECK) {
+    checkPickReach();
+}
+
+if (STDIO_MODE) {
+    startStdioTransport();
+}
+
+if (HTTP_ENABLED) {
+    const server = app.listen(PORT, '0.0.0.0', () => {
+        log('info', 'Robo Demo Server v2.0 listening', {
+            port: Number(PORT),
+            web_ui: `http://localhost:${PORT}`,
+            mcp_endpoint: `http://localhost:${PORT}/mcp`,
+            metrics: `http://localhost:${PORT}/metrics`,
+            arms: ARM_SPECS.map(arm => arm.id),
+            world_mode: WORLD_MODE
+        });
+        if (!AUTH_ENABLED) {
+            log('warn', 'No API_KEYS or REPORTER_KEY set - every client has full access');
+        }
+    });
+
+    // Beside stdio the UI is optional - a busy port must not take the MCP server down
+    if (STDIO_MODE) {
+        server.on('error', error => log('error', 'Web UI not started', { error: error.message }));
+    }
+}